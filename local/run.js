@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Runs backend functions locally against a JSON data file.
+ *
+ * Usage:
+ *   node local/run.js [--data file.json] [--as user@example.com] [--reset] <function> [args...]
+ *
+ * Arguments are parsed as JSON when possible (numbers, null, objects), otherwise passed as strings.
+ * The data file starts as a copy of local/seed.json and is saved back after every call, sheets and
+ * calendar events together, so consecutive runs behave like one spreadsheet and one calendar.
+ * Sent emails, chat posts and calendar events are printed.
+ *
+ * Examples:
+ *   node local/run.js --as ana@example.com apiCreateRequest 2027-03-01 2027-03-05 null Vacaciones
+ *   node local/run.js --as jefe@example.com getDashboardData
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createRuntime } = require('./runtime');
+
+const SEED_FILE = path.join(__dirname, 'seed.json');
+
+function parseArgs(argv) {
+  const opts = { data: path.join(__dirname, 'data.json'), as: 'ana@example.com', reset: false, fn: null, args: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!opts.fn && a === '--data') opts.data = path.resolve(argv[++i]);
+    else if (!opts.fn && a === '--as') opts.as = argv[++i];
+    else if (!opts.fn && a === '--reset') opts.reset = true;
+    else if (!opts.fn) opts.fn = a;
+    else opts.args.push(parseValue(a));
+  }
+  return opts;
+}
+
+function parseValue(raw) {
+  try { return JSON.parse(raw); } catch (e) { return raw; }
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.reset || !fs.existsSync(opts.data)) fs.copyFileSync(SEED_FILE, opts.data);
+  if (!opts.fn) {
+    console.log(`Data file ready: ${opts.data}`);
+    return;
+  }
+
+  const runtime = createRuntime({ data: JSON.parse(fs.readFileSync(opts.data, 'utf8')), user: opts.as });
+  let result;
+  try {
+    result = runtime.call(opts.fn, ...opts.args);
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exitCode = 1;
+  }
+
+  fs.writeFileSync(opts.data, JSON.stringify(runtime.toJSON(), null, 2));
+  if (result !== undefined) console.log(JSON.stringify(result, null, 2));
+
+  runtime.mail.sent.forEach(m => console.log(`✉️  ${m.to}${m.options.cc ? ` (cc ${m.options.cc})` : ''}: ${m.subject}`));
+  runtime.http.requests.forEach(r => console.log(`💬 ${r.url}: ${JSON.parse(r.options.payload).text}`));
+  const events = runtime.calendar.calendar.events;
+  Object.keys(events).forEach(id => console.log(`📅 ${events[id].getTitle()}`));
+}
+
+main();
@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Local runtime for the Apps Script backend.
+ * Loads src/storage.js and src/backend.js into a Node VM with stand-ins for the
+ * Apps Script globals, backed by the in-memory adapters from storage.js.
+ * No dependencies beyond Node itself.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const crypto = require('crypto');
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+const SOURCES = ['storage.js', 'backend.js'];
+// Data file key for the calendar; every other key is a sheet
+const CALENDAR_KEY = '_calendar';
+
+/**
+ * Formats a date like Utilities.formatDate for the patterns the backend uses
+ * (yyyy, MM, dd, HH, mm, ss and 'quoted' literals).
+ */
+function formatDate(date, timeZone, pattern) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-GB', {
+    timeZone, year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23'
+  }).formatToParts(new Date(date)).forEach(p => { parts[p.type] = p.value; });
+
+  return pattern.replace(/'([^']*)'|yyyy|MM|dd|HH|mm|ss/g, (token, literal) => {
+    if (literal !== undefined) return literal;
+    return { yyyy: parts.year, MM: parts.month, dd: parts.day, HH: parts.hour, mm: parts.minute, ss: parts.second }[token];
+  });
+}
+
+function keyValueStore() {
+  const data = {};
+  return {
+    get: k => (k in data ? data[k] : null),
+    put: (k, v) => { data[k] = String(v); },
+    remove: k => { delete data[k]; },
+    removeAll: keys => keys.forEach(k => { delete data[k]; }),
+    getProperty: k => (k in data ? data[k] : null),
+    setProperty: (k, v) => { data[k] = String(v); },
+    deleteProperty: k => { delete data[k]; },
+    getProperties: () => Object.assign({}, data),
+    setProperties: props => { Object.keys(props).forEach(k => { data[k] = String(props[k]); }); }
+  };
+}
+
+/**
+ * Apps Script byte arrays are signed (-128..127); strings are read as UTF-8.
+ */
+function toBuffer(data) {
+  return typeof data === 'string' ? Buffer.from(data, 'utf8') : Buffer.from(Array.from(data, b => b & 255));
+}
+
+function toSignedBytes(buffer) {
+  return Array.from(buffer, b => (b > 127 ? b - 256 : b));
+}
+
+/**
+ * Creates an isolated backend instance.
+ * @param {{data: Object, user: string, timeZone: string}} options
+ *   data: sheets as {name: rows[][]}, plus the calendar under CALENDAR_KEY;
+ *   user: email returned by Session.getActiveUser().
+ * @return {{call: Function, as: Function, toJSON: Function, db: Object, mail: Object, calendar: Object, http: Object, context: Object}}
+ */
+function createRuntime(options) {
+  const opts = options || {};
+  const state = { user: opts.user || '' };
+  const timeZone = opts.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const scriptCache = keyValueStore();
+  const userCaches = {};
+  const scriptProps = keyValueStore();
+  const triggers = [];
+
+  const context = {
+    console,
+    Session: {
+      getActiveUser: () => ({ getEmail: () => state.user }),
+      getEffectiveUser: () => ({ getEmail: () => state.user }),
+      getScriptTimeZone: () => timeZone,
+      getTemporaryActiveUserKey: () => `local:${state.user}`
+    },
+    LockService: {
+      // A single Node process runs one call at a time
+      getScriptLock: () => ({ waitLock() {}, tryLock: () => true, releaseLock() {}, hasLock: () => true })
+    },
+    CacheService: {
+      getScriptCache: () => scriptCache,
+      getUserCache: () => (userCaches[state.user] = userCaches[state.user] || keyValueStore())
+    },
+    PropertiesService: {
+      getScriptProperties: () => scriptProps,
+      getUserProperties: () => scriptProps
+    },
+    Utilities: {
+      formatDate,
+      getUuid: () => crypto.randomUUID(),
+      sleep: () => {},
+      computeHmacSha256Signature: (value, key) => toSignedBytes(crypto.createHmac('sha256', key).update(value, 'utf8').digest()),
+      base64EncodeWebSafe: data => toBuffer(data).toString('base64').replace(/\+/g, '-').replace(/\//g, '_'),
+      base64DecodeWebSafe: text => toSignedBytes(Buffer.from(String(text).replace(/-/g, '+').replace(/_/g, '/'), 'base64')),
+      newBlob: data => ({ getBytes: () => toSignedBytes(toBuffer(data)), getDataAsString: () => toBuffer(data).toString('utf8') })
+    },
+    HtmlService: {
+      XFrameOptionsMode: { ALLOWALL: 'ALLOWALL', DEFAULT: 'DEFAULT' },
+      createHtmlOutput: content => {
+        const output = {
+          title: '',
+          getContent: () => String(content || ''),
+          getTitle: () => output.title,
+          setTitle: title => { output.title = title; return output; },
+          setXFrameOptionsMode: () => output,
+          addMetaTag: () => output
+        };
+        return output;
+      }
+    },
+    ContentService: {
+      MimeType: { ICAL: 'text/calendar', TEXT: 'text/plain', JSON: 'application/json', CSV: 'text/csv' },
+      createTextOutput: content => {
+        const output = {
+          mimeType: 'text/plain',
+          getContent: () => content,
+          getMimeType: () => output.mimeType,
+          setMimeType: type => { output.mimeType = type; return output; }
+        };
+        return output;
+      }
+    },
+    ScriptApp: {
+      getService: () => ({ getUrl: () => 'https://script.google.com/macros/s/local/exec' }),
+      getProjectTriggers: () => triggers.slice(),
+      deleteTrigger: t => { triggers.splice(triggers.indexOf(t), 1); },
+      newTrigger: handler => {
+        const builder = {
+          timeBased: () => builder, everyDays: () => builder, everyHours: () => builder, everyMinutes: () => builder,
+          atHour: () => builder, onMonthDay: () => builder, nearMinute: () => builder, inTimezone: () => builder,
+          create: () => {
+            const t = { getHandlerFunction: () => handler };
+            triggers.push(t);
+            return t;
+          }
+        };
+        return builder;
+      }
+    }
+  };
+  vm.createContext(context);
+  SOURCES.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(SRC_DIR, file), 'utf8'), context, { filename: file });
+  });
+
+  const sheets = Object.assign({}, opts.data);
+  const savedCalendar = sheets[CALENDAR_KEY];
+  delete sheets[CALENDAR_KEY];
+
+  const spreadsheet = vm.runInContext('MemorySpreadsheet_', context).fromJSON(sheets, 'local');
+  const db = vm.runInContext('memoryDb_', context)(spreadsheet);
+  const mail = vm.runInContext('memoryMail_', context)(opts.mailQuota);
+  const calendar = vm.runInContext('memoryCalendar_', context)(savedCalendar);
+  const http = vm.runInContext('memoryHttp_', context)();
+  vm.runInContext('useServices_', context)({ db, mail, calendar, http });
+
+  return {
+    context,
+    db: spreadsheet,
+    mail,
+    calendar,
+    http,
+    /** Sheets and calendar, in the shape createRuntime accepts as `data`. */
+    toJSON() {
+      return Object.assign(spreadsheet.toJSON(), { [CALENDAR_KEY]: calendar.toJSON() });
+    },
+    /** Switches the signed-in user for the next calls. */
+    as(email) {
+      state.user = email;
+      return this;
+    },
+    /** Calls any top-level backend function by name. */
+    call(name, ...args) {
+      if (!/^[A-Za-z_$][\w$]*$/.test(name)) throw new Error(`Invalid function name: ${name}`);
+      const fn = vm.runInContext(`typeof ${name} === 'function' ? ${name} : null`, context);
+      if (!fn) throw new Error(`Unknown backend function: ${name}`);
+      return fn(...args);
+    }
+  };
+}
+
+module.exports = { createRuntime, formatDate, CALENDAR_KEY };
@@ -0,0 +1,419 @@
+/**
+ * @fileoverview Runs the request workflow end to end on the local runtime, against a fresh copy
+ * of local/seed.json for every test. Run with `npm test` (node --test, no dependencies).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRuntime, CALENDAR_KEY } = require('./runtime');
+const seed = require('./seed.json');
+
+const EMPLOYEE = 'ana@example.com';     // Desarrollo, 15 vacation days, holidays of CR
+const TEAMMATE = 'luis@example.com';    // Desarrollo, whose team allows one person out at a time
+const MANAGER = 'jefe@example.com';
+
+function freshRuntime(user) {
+  return createRuntime({ data: JSON.parse(JSON.stringify(seed)), user: user || EMPLOYEE });
+}
+
+/** yyyy-MM-dd of the Monday `weeks` weeks after the first Monday of March next year. */
+function monday(weeks) {
+  const d = new Date(new Date().getFullYear() + 1, 2, 1, 12);
+  while (d.getDay() !== 1) d.setDate(d.getDate() + 1);
+  d.setDate(d.getDate() + 7 * (weeks || 0));
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function addDays(dateStr, days) {
+  const d = new Date(`${dateStr}T12:00:00`);
+  d.setDate(d.getDate() + days);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function request(rt, id) {
+  return rt.context.requestsRepo_().findById(id);
+}
+
+function vacationUsed(rt, email) {
+  return rt.context.employeesRepo_().findByNameOrEmail(email).usados;
+}
+
+function createRequest(rt, user, start, end, tipo) {
+  return rt.as(user).call('apiCreateRequest', start, end, null, tipo || 'Vacaciones').requestId;
+}
+
+function approve(rt, id) {
+  rt.as(MANAGER).call('apiProcessRequest', id, 'Aprobado');
+  return request(rt, id);
+}
+
+/** yyyy-MM-dd `days` days from today (negative for the past). */
+function fromToday(days) {
+  const d = new Date();
+  return addDays(`${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`, days);
+}
+
+/** Monday to Friday between two yyyy-MM-dd dates, inclusive. */
+function weekdays(start, end) {
+  let n = 0;
+  for (let d = start; d <= end; d = addDays(d, 1)) {
+    const day = new Date(`${d}T12:00:00`).getDay();
+    if (day !== 0 && day !== 6) n++;
+  }
+  return n;
+}
+
+/**
+ * Approved leave written straight to Solicitudes, for dates apiCreateRequest refuses (already started).
+ * Feriados is emptied so the expected day counts are plain weekdays.
+ */
+function startedLeave(rt, email, start, end) {
+  rt.db.getSheetByName('Feriados').rows.splice(1);
+  const emp = rt.context.employeesRepo_().findByNameOrEmail(email);
+  const id = `started-${start}`;
+  rt.context.requestsRepo_().append({
+    timestamp: new Date(), email, empleado: emp.nombre, inicio: new Date(`${start}T12:00:00`), fin: new Date(`${end}T12:00:00`),
+    estado: 'Aprobado', dias: weekdays(start, end), medioInicio: '', medioFin: '', tipo: 'Vacaciones', id, version: 1
+  });
+  rt.call('recalcEmpleados_');
+  return id;
+}
+
+/** Details of every Audit_Log entry for `action`, as plain objects of this realm. */
+function auditEntries(rt, action) {
+  return Array.from(rt.db.getSheetByName('Audit_Log').getDataRange().getValues().slice(1))
+    .filter(r => r[2] === action).map(r => JSON.parse(r[3]));
+}
+
+test('a new request is pending, counts business days and notifies the employee and the manager', () => {
+  const rt = freshRuntime();
+  const start = monday(0);
+  const id = createRequest(rt, EMPLOYEE, start, addDays(start, 6)); // Monday to Sunday
+
+  const saved = request(rt, id);
+  assert.equal(saved.estado, 'Pendiente');
+  assert.equal(saved.dias, 5);
+  assert.deepEqual(Array.from(rt.mail.sent, m => m.to).sort(), [EMPLOYEE, MANAGER]);
+});
+
+test('a holiday from Feriados is not counted', () => {
+  const rt = freshRuntime();
+  const start = monday(0);
+  rt.db.getSheetByName('Feriados').appendRow([new Date(`${addDays(start, 2)}T12:00:00`), 'Feriado de prueba', 'CR', '']);
+
+  const id = createRequest(rt, EMPLOYEE, start, addDays(start, 4));
+  assert.equal(request(rt, id).dias, 4);
+});
+
+test('an overlapping request from the same employee is rejected', () => {
+  const rt = freshRuntime();
+  const start = monday(0);
+  createRequest(rt, EMPLOYEE, start, addDays(start, 4));
+
+  assert.throws(() => createRequest(rt, EMPLOYEE, addDays(start, 3), addDays(start, 8)), /already have a request for these dates/);
+});
+
+test('a request over the team capacity needs review', () => {
+  const rt = freshRuntime();
+  const start = monday(0);
+  createRequest(rt, TEAMMATE, start, addDays(start, 4));
+
+  const id = createRequest(rt, EMPLOYEE, addDays(start, 2), addDays(start, 4));
+  assert.equal(request(rt, id).estado, 'Necesita Revisión');
+});
+
+test('a request inside a blocking blackout is refused', () => {
+  const rt = freshRuntime();
+  const year = new Date().getFullYear() + 1;
+  rt.db.getSheetByName('Blackout').appendRow([new Date(year, 5, 1, 12), new Date(year, 5, 30, 12), 'Desarrollo', 'Release', 'Bloqueo']);
+
+  assert.throws(() => createRequest(rt, EMPLOYEE, `${year}-06-08`, `${year}-06-10`), /blackout period.*Release/);
+});
+
+test('approval books the calendar event and charges the balance', () => {
+  const rt = freshRuntime();
+  const start = monday(0);
+  const id = createRequest(rt, EMPLOYEE, start, addDays(start, 4));
+
+  rt.as(MANAGER).call('apiProcessRequest', id, 'Aprobado');
+
+  const saved = request(rt, id);
+  assert.equal(saved.estado, 'Aprobado');
+  assert.ok(saved.eventId);
+  assert.ok(rt.calendar.calendar.getEventById(saved.eventId));
+  assert.equal(vacationUsed(rt, EMPLOYEE), 5);
+});
+
+test('approval beyond the remaining balance is refused', () => {
+  const rt = freshRuntime();
+  const start = monday(0);
+  const id = createRequest(rt, TEAMMATE, start, addDays(start, 11)); // 8 days, 7 left
+
+  assert.throws(() => rt.as(MANAGER).call('apiProcessRequest', id, 'Aprobado'), /Insufficient vacation balance/);
+  assert.equal(request(rt, id).estado, 'Pendiente');
+});
+
+test('only approvers can decide', () => {
+  const rt = freshRuntime();
+  const start = monday(0);
+  const id = createRequest(rt, EMPLOYEE, start, start);
+
+  assert.throws(() => rt.as(TEAMMATE).call('apiProcessRequest', id, 'Aprobado'), /Only managers/);
+});
+
+test('rejection needs a reason and sends it to the employee', () => {
+  const rt = freshRuntime();
+  const start = monday(0);
+  const id = createRequest(rt, EMPLOYEE, start, start);
+  rt.mail.sent.length = 0;
+
+  assert.throws(() => rt.as(MANAGER).call('apiProcessRequest', id, 'Rechazado'), /A reason is required/);
+  rt.as(MANAGER).call('apiProcessRequest', id, 'Rechazado', undefined, 'Semana de entrega');
+
+  assert.equal(request(rt, id).estado, 'Rechazado');
+  const email = rt.mail.sent.find(m => m.to === EMPLOYEE);
+  assert.ok(email);
+  assert.match(email.options.htmlBody, /Semana de entrega/);
+});
+
+test('the employee can cancel a pending request', () => {
+  const rt = freshRuntime();
+  const start = monday(0);
+  const id = createRequest(rt, EMPLOYEE, start, addDays(start, 1));
+
+  rt.as(EMPLOYEE).call('apiCancelRequest', id);
+  assert.equal(request(rt, id).estado, 'Cancelado');
+});
+
+test('cancelling approved leave needs the manager and then frees the calendar and the balance', () => {
+  const rt = freshRuntime();
+  const start = monday(0);
+  const id = createRequest(rt, EMPLOYEE, start, addDays(start, 4));
+  const eventId = approve(rt, id).eventId;
+
+  assert.throws(() => rt.as(EMPLOYEE).call('apiCancelRequest', id), /manager's confirmation/);
+  rt.as(EMPLOYEE).call('apiRequestCancellation', id, null);
+  assert.equal(request(rt, id).estado, 'Cancelación Solicitada');
+
+  rt.as(MANAGER).call('apiProcessCancellation', id, true);
+  assert.equal(request(rt, id).estado, 'Cancelado');
+  assert.equal(rt.calendar.calendar.getEventById(eventId), null);
+  assert.equal(vacationUsed(rt, EMPLOYEE), 0);
+});
+
+test('the data file round-trip keeps sheets and calendar events', () => {
+  const rt = freshRuntime();
+  const start = monday(0);
+  const id = createRequest(rt, EMPLOYEE, start, addDays(start, 4));
+  rt.as(MANAGER).call('apiProcessRequest', id, 'Aprobado');
+  const saved = JSON.parse(JSON.stringify(rt.toJSON()));
+
+  const reloaded = createRuntime({ data: saved, user: MANAGER });
+  const eventId = request(reloaded, id).eventId;
+  assert.ok(saved[CALENDAR_KEY].events[eventId]);
+  assert.ok(reloaded.calendar.calendar.getEventById(eventId));
+  assert.equal(reloaded.db.getSheetByName(CALENDAR_KEY), null);
+
+  const other = createRequest(reloaded, TEAMMATE, monday(2), monday(2));
+  reloaded.as(MANAGER).call('apiProcessRequest', other, 'Aprobado');
+  assert.notEqual(request(reloaded, other).eventId, eventId);
+});
+
+test('a partial cancellation of future leave refunds the days given back', () => {
+  const rt = freshRuntime();
+  const start = monday(0);
+  const id = createRequest(rt, EMPLOYEE, start, addDays(start, 4));
+  approve(rt, id);
+
+  rt.as(EMPLOYEE).call('apiRequestCancellation', id, addDays(start, 1));
+  rt.as(MANAGER).call('apiProcessCancellation', id, true);
+
+  const saved = request(rt, id);
+  assert.equal(saved.estado, 'Aprobado');
+  assert.equal(saved.dias, 2);
+  assert.equal(vacationUsed(rt, EMPLOYEE), 2);
+  assert.equal(rt.calendar.calendar.getEventById(saved.eventId).getAllDayEndDate().getDate(), new Date(`${addDays(start, 2)}T12:00:00`).getDate());
+  assert.deepEqual(auditEntries(rt, 'CANCELLATION_REFUND').map(e => e.refunded), [3]);
+  assert.equal(auditEntries(rt, 'APPROVED_DAYS_RECOUNTED').length, 0);
+});
+
+test('cancelling leave that has started keeps the days taken and refunds the rest', () => {
+  const rt = freshRuntime();
+  const start = fromToday(-7);
+  const end = fromToday(7);
+  const id = startedLeave(rt, EMPLOYEE, start, end);
+  assert.equal(vacationUsed(rt, EMPLOYEE), weekdays(start, end));
+
+  rt.as(EMPLOYEE).call('apiRequestCancellation', id, null);
+  rt.as(MANAGER).call('apiProcessCancellation', id, true);
+
+  const taken = weekdays(start, fromToday(-1));
+  const saved = request(rt, id);
+  assert.equal(saved.estado, 'Aprobado');
+  assert.equal(rt.context.dateKey_(saved.fin), fromToday(-1));
+  assert.equal(saved.dias, taken);
+  assert.equal(vacationUsed(rt, EMPLOYEE), taken);
+  assert.deepEqual(auditEntries(rt, 'CANCELLATION_REFUND').map(e => e.refunded), [weekdays(start, end) - taken]);
+});
+
+test('a new holiday recounts approved leave that has not started and leaves started leave as charged', () => {
+  const rt = freshRuntime();
+  const start = fromToday(-3);
+  const end = fromToday(3);
+  const started = startedLeave(rt, EMPLOYEE, start, end);
+  const charged = request(rt, started).dias;
+  const future = approve(rt, createRequest(rt, EMPLOYEE, monday(0), addDays(monday(0), 4))).id;
+
+  const feriados = rt.db.getSheetByName('Feriados');
+  [fromToday(-2), fromToday(2), addDays(monday(0), 2)].forEach(d => feriados.appendRow([new Date(`${d}T12:00:00`), 'Feriado nuevo', '', '']));
+  rt.as(MANAGER).call('refreshHolidays');
+
+  assert.equal(request(rt, started).dias, charged);
+  assert.equal(request(rt, future).dias, 4);
+  assert.equal(vacationUsed(rt, EMPLOYEE), charged + 4);
+  assert.deepEqual(auditEntries(rt, 'APPROVED_DAYS_RECOUNTED').map(e => e.requests.map(r => [r.id, r.from, r.to])), [[[future, 5, 4]]]);
+});
+
+test('calendar reconciliation deletes only events recorded on a request and reports other leave events', () => {
+  const rt = freshRuntime();
+  const start = monday(0);
+  const cancelled = approve(rt, createRequest(rt, EMPLOYEE, start, addDays(start, 1)));
+  rt.context.requestsRepo_().update(cancelled.row, { estado: 'Cancelado' }); // as if the calendar delete had failed
+  const booked = approve(rt, createRequest(rt, EMPLOYEE, monday(1), monday(1)));
+  rt.calendar.calendar.getEventById(booked.eventId).deleteEvent();
+  const byHand = rt.calendar.calendar.createAllDayEvent('Vacation: Visitante', new Date(`${start}T12:00:00`), new Date(`${addDays(start, 1)}T12:00:00`));
+
+  const summary = rt.call('runCalendarReconciliation');
+
+  assert.equal(summary.delete, 1);
+  assert.equal(summary.review, 1);
+  assert.equal(summary.create, 2); // the deleted event and the seed's approved request, which has none
+  assert.equal(rt.calendar.calendar.getEventById(cancelled.eventId), null);
+  assert.equal(request(rt, cancelled.id).eventId, '');
+  assert.ok(rt.calendar.calendar.getEventById(byHand.getId()));
+  assert.ok(rt.calendar.calendar.getEventById(request(rt, booked.id).eventId));
+
+  const report = Array.from(rt.db.getSheetByName('Conciliación Calendario').getDataRange().getValues().slice(1));
+  const review = report.find(r => r[2] === 'Revisar evento');
+  assert.equal(review[7], byHand.getId());
+  assert.match(review[8], /Vacation: Visitante/);
+});
+
+test('approving another leave type charges its own balance, not vacation', () => {
+  const rt = freshRuntime();
+  const start = monday(0);
+  const id = createRequest(rt, EMPLOYEE, start, addDays(start, 1), 'Enfermedad');
+  approve(rt, id);
+
+  const sick = rt.call('getEmployeeTotals_', EMPLOYEE, 'Enfermedad');
+  assert.equal(sick.usados, 2);
+  assert.equal(sick.remaining, 8);
+  assert.equal(vacationUsed(rt, EMPLOYEE), 0);
+});
+
+test('bulk approval charges every request and sends each employee one summary', () => {
+  const rt = freshRuntime();
+  const first = createRequest(rt, EMPLOYEE, monday(0), monday(0));
+  const second = createRequest(rt, EMPLOYEE, monday(2), addDays(monday(2), 1));
+  rt.mail.sent.length = 0;
+
+  const result = rt.as(MANAGER).call('apiProcessRequests', [first, second, 'unknown-id'], 'Aprobado');
+
+  assert.equal(result.processed, 2);
+  assert.equal(result.failed, 1);
+  assert.equal(request(rt, first).estado, 'Aprobado');
+  assert.equal(request(rt, second).estado, 'Aprobado');
+  assert.equal(vacationUsed(rt, EMPLOYEE), 3);
+  assert.equal(rt.mail.sent.filter(m => m.to === EMPLOYEE).length, 1);
+});
+
+/** Ledger movements of one employee, as [movimiento, dias, periodo]. */
+function movements(rt, email) {
+  return Array.from(rt.db.getSheetByName('Movimientos Saldo').getDataRange().getValues().slice(1))
+    .filter(r => r[2] === email).map(r => [r[3], r[4], r[5]]);
+}
+
+function saldoHR(rt, email) {
+  return rt.call('getEmployeeTotals_', email, 'Vacaciones').total;
+}
+
+/**
+ * Fixes the seniority tiers for the accrual tests, whatever year they run in:
+ * Ana gets 15 days/year (7 years of service in `year`), Luis 12 (3 years); Marta and Jefe stay as seeded.
+ */
+function accrualRuntime(year) {
+  const rt = freshRuntime();
+  const sh = rt.db.getSheetByName('Empleados');
+  const col = sh.getDataRange().getValues()[0].indexOf('FechaIngreso') + 1;
+  sh.getRange(2, col).setValue(new Date(year - 7, 1, 11, 12));
+  sh.getRange(3, col).setValue(new Date(year - 3, 5, 1, 12));
+  return rt;
+}
+
+test('accrual grants the monthly tier once per month', () => {
+  const march = new Date(new Date().getFullYear() + 1, 2, 15, 12);
+  const rt = accrualRuntime(march.getFullYear());
+
+  rt.call('applyAccrualPolicy_', march);
+  const again = rt.call('applyAccrualPolicy_', march);
+
+  assert.equal(saldoHR(rt, EMPLOYEE), 16.25);
+  assert.equal(saldoHR(rt, TEAMMATE), 13);
+  assert.deepEqual(movements(rt, EMPLOYEE), [['Acumulación', 1.25, `${march.getFullYear()}-03`]]);
+  assert.equal(again.movements, 0);
+});
+
+test('accrual caps the carry-over at year end and expires carried days left unused', () => {
+  const year = new Date().getFullYear() + 1;
+  const rt = accrualRuntime(year);
+
+  rt.call('applyAccrualPolicy_', new Date(year, 11, 15, 12));    // 15 + 1.25
+  rt.call('applyAccrualPolicy_', new Date(year + 1, 0, 10, 12)); // 16.25 → 5 carried, + 1.25
+  assert.equal(saldoHR(rt, EMPLOYEE), 6.25);
+
+  rt.call('applyAccrualPolicy_', new Date(year + 1, 3, 5, 12));  // carried 5 expire, + 3 × 1.25
+  assert.equal(saldoHR(rt, EMPLOYEE), 5);
+  assert.deepEqual(movements(rt, EMPLOYEE).filter(m => m[0] !== 'Acumulación'), [
+    ['Vencimiento', -11.25, String(year)],
+    ['Arrastre', 5, String(year)],
+    ['Vencimiento', -5, `${year + 1}-arrastre`]
+  ]);
+});
+
+test('HR sync replaces the HR entitlement and keeps accrued days on top', () => {
+  const year = new Date().getFullYear() + 1;
+  const rt = accrualRuntime(year);
+  rt.call('applyAccrualPolicy_', new Date(year, 2, 15, 12));
+  const hr = rt.db.insertSheet('ALL names');
+  hr.appendRow(['Email', '', '', '', '', 'Dias']);
+  [[EMPLOYEE, 15], [TEAMMATE, 14], ['marta@example.com', 20], [MANAGER, 20]].forEach(([email, dias]) => hr.appendRow([email, '', '', '', '', dias]));
+  rt.mail.sent.length = 0;
+
+  const summary = rt.call('runHrSync');
+
+  assert.equal(summary.changed, 1);
+  assert.equal(saldoHR(rt, TEAMMATE), 15); // 14 from HR + 1 accrued
+  assert.equal(saldoHR(rt, EMPLOYEE), 16.25);
+  assert.deepEqual(movements(rt, TEAMMATE).filter(m => m[0] === 'Ajuste').map(m => m[1]), [2]);
+  assert.equal(rt.mail.sent.length, 1);
+  assert.equal(rt.call('runHrSync').changed, 0);
+});
+
+test('the signed approve link in the manager email approves once and charges the balance once', () => {
+  const rt = freshRuntime();
+  const start = monday(0);
+  const id = createRequest(rt, EMPLOYEE, start, addDays(start, 2));
+  const email = rt.mail.sent.find(m => m.to === MANAGER);
+  const tokens = Array.from(email.options.htmlBody.matchAll(/action=decide&(?:amp;)?t=([^"&]+)/g), m => decodeURIComponent(m[1]));
+  assert.equal(tokens.length, 2);
+  const post = token => rt.as(MANAGER).call('doPost', { parameter: { action: 'decide', t: token } }).getContent();
+
+  const approveToken = tokens.find(t => rt.call('readActionToken_', t).d === 'approve');
+  post(approveToken);
+  assert.equal(request(rt, id).estado, 'Aprobado');
+  assert.equal(vacationUsed(rt, EMPLOYEE), 3);
+
+  post(approveToken);
+  assert.equal(vacationUsed(rt, EMPLOYEE), 3);
+  assert.equal(auditEntries(rt, 'EMAIL_ACTION_LINK').length, 1);
+});
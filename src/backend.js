@@ -21,22 +21,136 @@ const TRACKER_SHEET_ID  = 'INSERT_YOUR_SHEET_ID_HERE';
 const SHEET_SOLICITUDES = 'Solicitudes';      
 const SHEET_EMPLEADOS   = 'Empleados';
 const SHEET_MANAGERS    = 'Notificar Solicitudes';
+const SHEET_FERIADOS    = 'Feriados';
+const SHEET_BLACKOUT    = 'Blackout';
+const SHEET_EQUIPOS     = 'Equipos';
+const SHEET_MOVIMIENTOS = 'Movimientos Saldo';
+const SHEET_SYNC_HR     = 'Sync HR';
+const SHEET_RECORDATORIOS = 'Recordatorios';
+const SHEET_DELEGACIONES  = 'Delegaciones';
+const SHEET_COMENTARIOS   = 'Comentarios';
+const SHEET_PLANTILLAS    = 'Plantillas';
+const SHEET_NOTIFICACIONES = 'Notificaciones'; // Per-user channel choice for each NOTIFICATION_EVENTS entry
+const SHEET_COLA_RESUMEN   = 'Cola Resumen';   // Approval notices held for the daily digest of approvers who chose it
+const SHEET_BANDEJA_SALIDA = 'Bandeja Salida'; // Outbox: every email and chat post, its attempts and dead letters
+const SHEET_CONCILIACION   = 'Conciliación Calendario'; // Every calendar fix made by runCalendarReconciliation
+
+/** * Solicitudes columns added after the original layout (1-based)
+ * Half-day values: '' (full day), 'AM' (morning only) or 'PM' (afternoon only).
+ */
+const COL_MEDIO_INICIO = 9;  // Portion taken on the first day
+const COL_MEDIO_FIN    = 10; // Portion taken on the last day
+const COL_TIPO         = 11; // Leave type (key of LEAVE_TYPES); empty means vacation
+const COL_PASO         = 12; // Current approval step (1-based); empty means step 1
+const COL_APROBACIONES = 13; // JSON log of step decisions: [{step, by, decision, at}]
+const COL_ID           = 14; // Permanent request ID; API calls use it instead of the row number
+const COL_VERSION      = 15; // Incremented on every change made through the API (optimistic concurrency)
+const COL_CANCELACION  = 16; // JSON of a pending cancellation of approved leave: {fin, estadoPrevio, by, at}
+const HALF_DAY_VALUES  = ['AM', 'PM'];
+
+/** * Leave Types
+ * Vacation uses the original Empleados columns: SaldoHR (D), Usados (E) and the remaining
+ * balance, found by its SaldoVacaciones header or in column F as before (see vacationRemainingIdx_).
+ * Other types read their allowance and usage from the Empleados headers named below;
+ * a type without an allowance column (or with balance: false) has no limit.
+ * label is English (calendar titles, reports); labelEs is used in Spanish emails.
+ */
+const DEFAULT_LEAVE_TYPE = 'Vacaciones';
+const COL_EMP_SALDO_VACACIONES = 5; // Original position of the remaining vacation balance (column F)
+const LEAVE_TYPES = {
+  'Vacaciones': { label: 'Vacation',       labelEs: 'Vacaciones',          balance: true },
+  'Enfermedad': { label: 'Sick leave',     labelEs: 'Enfermedad',          balance: true,  totalHeader: 'SaldoEnfermedad', usedHeader: 'UsadosEnfermedad' },
+  'Personal':   { label: 'Personal day',   labelEs: 'Día personal',        balance: true,  totalHeader: 'SaldoPersonal',   usedHeader: 'UsadosPersonal' },
+  'Parental':   { label: 'Parental leave', labelEs: 'Licencia parental',   balance: true,  totalHeader: 'SaldoParental',   usedHeader: 'UsadosParental' },
+  'Sin Goce':   { label: 'Unpaid leave',   labelEs: 'Sin goce de salario', balance: false, usedHeader: 'UsadosSinGoce' }
+};
+
+/** * Request States
+ * STATE_TRANSITIONS is the single source of truth for which status changes are allowed.
+ * Every mutating endpoint checks it (assertTransition_) while holding the script lock.
+ */
+const ESTADO_PENDIENTE  = 'Pendiente';
+const ESTADO_REVISION   = 'Necesita Revisión';
+const ESTADO_APROBADO   = 'Aprobado';
+const ESTADO_EXCEPCION  = 'Aprobado (Excepción)';
+const ESTADO_RECHAZADO  = 'Rechazado';
+const ESTADO_CANCELADO  = 'Cancelado';
+const ESTADO_CANCELACION = 'Cancelación Solicitada'; // Approved leave the employee asked to cancel or shorten
+const STATE_TRANSITIONS = {
+  [ESTADO_PENDIENTE]:   [ESTADO_PENDIENTE, ESTADO_REVISION, ESTADO_APROBADO, ESTADO_EXCEPCION, ESTADO_RECHAZADO, ESTADO_CANCELADO],
+  [ESTADO_REVISION]:    [ESTADO_PENDIENTE, ESTADO_REVISION, ESTADO_APROBADO, ESTADO_EXCEPCION, ESTADO_RECHAZADO, ESTADO_CANCELADO],
+  [ESTADO_APROBADO]:    [ESTADO_CANCELACION],
+  [ESTADO_EXCEPCION]:   [ESTADO_CANCELACION],
+  [ESTADO_CANCELACION]: [ESTADO_APROBADO, ESTADO_EXCEPCION, ESTADO_CANCELADO], // Back to the previous status when declined or shortened
+  [ESTADO_RECHAZADO]:   [],
+  [ESTADO_CANCELADO]:   []
+};
+// Booked leave: uses balance, counts for coverage and has a calendar event (until a cancellation is confirmed)
+const APPROVED_STATES = [ESTADO_APROBADO, ESTADO_EXCEPCION, ESTADO_CANCELACION];
+const MANAGER_DECISIONS = [ESTADO_APROBADO, ESTADO_EXCEPCION, ESTADO_RECHAZADO];
+const REASON_REQUIRED_DECISIONS = [ESTADO_EXCEPCION, ESTADO_RECHAZADO]; // The employee is told why
+const COMMENT_KIND       = 'Comentario'; // Tipo of thread messages in Comentarios (reasons use the decision)
+const COMMENT_MAX_LENGTH = 1000;
 
 /** * Calendar & Notification Settings 
  */
 const CALENDAR_NAME     = 'Team Vacations';     
+const ICS_FEED_PAST_DAYS = 90;               // ICS feeds include leave that ended up to this many days ago
+const ICS_UID_DOMAIN     = 'vacation-portal'; // Event UIDs are <request id>@ICS_UID_DOMAIN
+const ACTION_LINK_TTL_HOURS = 72;             // Approve/reject links in manager emails stop working after this
+const REPORT_MAX_DAYS    = 731;               // Longest range apiExportUsageReport accepts
 const REMINDER_STATES   = ['Pendiente', 'Necesita Revisión'];
+const EMAIL_LANGUAGES   = ['es', 'en'];      // Idioma column of Empleados; texts in EMAIL_TEMPLATES / the Plantillas sheet
+const DEFAULT_EMAIL_LANGUAGE = 'es';         // Employees without a language, and recipients not in Empleados
 
 // HR Configuration
 const HR_SHEET_ID  = 'INSERT_HR_SHEET_ID_HERE';
 const HR_TAB_NAME  = 'ALL names';
 const HR_COL_EMAIL = 1;
 const HR_COL_DIAS  = 6; 
+const HR_SYNC_HOUR = 6;  // Daily sync (see installTriggers)
+const CALENDAR_RECONCILE_HOUR = 3; // Nightly calendar reconciliation (see runCalendarReconciliation)
 
 // Business Rules
 const ENFORCE_BALANCE_BEFORE_EVENT = true; 
-const REMINDER_DAYS_BEFORE = 30;  
+const DEFAULT_TEAM_MAX_OUT = 1; // Used when a team has no capacity configured in Equipos
+const REMINDER_DAYS_BEFORE = 30;  // Days before approved leave starts to remind employee and team
 const REMINDER_HOUR_LOCAL  = 11;
+const REMINDER_ESCALATE_AFTER_DAYS = 3; // Days a request may sit in REMINDER_STATES before managers are nudged
+const DIGEST_HOUR_LOCAL    = 8;  // Daily digest for approvers in digest mode (see runDigestJob)
+const DIGEST_UPCOMING_DAYS = 7;  // The digest lists approved leave starting within this many days
+const BULK_MAX_REQUESTS = 50; // Requests per apiProcessRequests call (keeps one call inside the execution limit)
+
+/** * Notification Outbox
+ * Every email and chat post is written to SHEET_BANDEJA_SALIDA before it is sent.
+ * runOutboxJob retries failed sends, waiting OUTBOX_RETRY_MINUTES and doubling after each failure.
+ * After OUTBOX_MAX_ATTEMPTS an item is a dead letter (Fallido) until a manager resends it.
+ */
+const OUTBOX_PENDIENTE   = 'Pendiente';
+const OUTBOX_ENVIADO     = 'Enviado';
+const OUTBOX_FALLIDO     = 'Fallido';     // Dead letter
+const OUTBOX_REEMPLAZADO = 'Reemplazado'; // Chat post that failed and went out by email instead
+const OUTBOX_MAX_ATTEMPTS  = 5;
+const OUTBOX_RETRY_MINUTES = 15;
+const OUTBOX_JOB_MINUTES   = 15; // runOutboxJob interval (Apps Script allows 1, 5, 10, 15 or 30)
+const OUTBOX_BATCH         = 50; // Items per run or resend call
+const OUTBOX_KEEP_DAYS     = 30; // Delivered items are removed after this many days
+
+/** * Vacation Accrual Policy
+ * Applied by runAccrualJob() on the 1st of every month (see installTriggers).
+ * Seniority is measured in completed years since the FechaIngreso column of Empleados.
+ */
+const ACCRUAL_POLICY = {
+  leaveType: 'Vacaciones',
+  tiers: [                     // Days granted per year, by completed years of service
+    { minYears: 0,  daysPerYear: 12 },
+    { minYears: 5,  daysPerYear: 15 },
+    { minYears: 10, daysPerYear: 20 }
+  ],
+  maxCarryOver: 5,             // Unused days that may be carried into the new year
+  carryOverExpiry: '03-31'     // MM-dd: carried days still unused after this date expire
+};
+const ACCRUAL_JOB_HOUR = 2;
 
 /** * Security & Validation Configuration
  */
@@ -51,7 +165,14 @@ const DEBUG_MODE = false;
 const RATE_LIMITS = {
   'create_request': { max: 5, window: 3600 },
   'cancel_request': { max: 3, window: 3600 },
-  'edit_request': { max: 10, window: 3600 }
+  'edit_request': { max: 10, window: 3600 },
+  'add_comment': { max: 20, window: 3600 },
+  'reset_feed_token': { max: 5, window: 3600 },
+  'export_report': { max: 10, window: 3600 },
+  'set_delegation': { max: 10, window: 3600 },
+  'remove_delegation': { max: 10, window: 3600 },
+  'set_notifications': { max: 20, window: 3600 },
+  'resend_notifications': { max: 10, window: 3600 }
 };
 
 /* ==========================================================================
@@ -60,11 +181,17 @@ const RATE_LIMITS = {
 
 /**
  * HTTP GET Handler.
- * Serves the initial HTML template containing the React Application.
+ * Serves the initial HTML template containing the React Application,
+ * an ICS calendar feed when called with ?feed=ics (see serveIcsFeed_),
+ * or the confirmation page of an email action link with ?action=decide (see serveActionLinkPage_).
  * * @param {Object} e - The event parameter.
  * @return {HtmlOutput} The evaluated HTML template ready to be rendered.
  */
 function doGet(e) {
+  const params = (e && e.parameter) || {};
+  if (params.feed === 'ics') return serveIcsFeed_(params);
+  if (params.action === 'decide') return serveActionLinkPage_(params);
+
   return HtmlService.createTemplateFromFile('Index')
     .evaluate()
     .setTitle('Portal de Vacaciones')
@@ -72,6 +199,15 @@ function doGet(e) {
     .addMetaTag('viewport', 'width=device-width, initial-scale=1');
 }
 
+/**
+ * Form posts from the pages served by doGet (see handleActionLinkPost_).
+ */
+function doPost(e) {
+  const params = (e && e.parameter) || {};
+  if (params.action === 'decide') return handleActionLinkPost_(params);
+  return HtmlService.createHtmlOutput('Unknown action.');
+}
+
 /* ==========================================================================
    DEBUGGING & LOGGING UTILITIES
    ========================================================================== */
@@ -95,20 +231,12 @@ function debugLog_(message, data) {
 
 function logAudit_(action, details, userEmail) {
   try {
-    const ss = _getDb();
-    let auditSheet = ss.getSheetByName('Audit_Log');
-    if(!auditSheet) {
-      auditSheet = ss.insertSheet('Audit_Log');
-      auditSheet.appendRow(['Timestamp', 'User', 'Action', 'Details', 'IP']);
-      auditSheet.getRange(1, 1, 1, 5).setFontWeight('bold').setBackground('#f0f0f0');
-    }
-    auditSheet.appendRow([
-      new Date(),
-      userEmail || Session.getActiveUser().getEmail(),
+    auditRepo_().append({
+      user: userEmail || Session.getActiveUser().getEmail(),
       action,
-      JSON.stringify(details),
-      Session.getTemporaryActiveUserKey()
-    ]);
+      details,
+      key: Session.getTemporaryActiveUserKey()
+    });
   } catch(e) {
     console.error('Audit log failed:', e);
   }
@@ -147,7 +275,7 @@ function checkRateLimit_(userEmail, action) {
 
 function _getDb() {
   try {
-    return SpreadsheetApp.openById(TRACKER_SHEET_ID);
+    return getDbService_().open(TRACKER_SHEET_ID);
   } catch (e) {
     throw new Error("Error connecting to database: " + e.message);
   }
@@ -169,8 +297,7 @@ function getInitialData() {
 
     const totals = getEmployeeTotals_(userEmail);
     const team   = getEmployeeTeam_(userEmail);     
-    const managers = getManagerEmails_(); 
-    const isManager = managers.includes(userEmail);
+    const isManager = isApprover_(userEmail);
     
     return {
       email: userEmail,
@@ -198,43 +325,35 @@ function getDashboardData() {
     const userEmail = Session.getActiveUser().getEmail();
     if (!userEmail) throw new Error("User not identified.");
     
-    const ss = _getDb();
-    const shSolicitudes = ss.getSheetByName(SHEET_SOLICITUDES);
-    const shEmpleados = ss.getSheetByName(SHEET_EMPLEADOS);
-    
-    const dataSolicitudes = shSolicitudes ? shSolicitudes.getDataRange().getValues() : [];
-    const dataEmpleados = shEmpleados ? shEmpleados.getDataRange().getValues() : [];
-    
-    // Map employee data
-    const empleadoMap = {};
-    const teamMap = {};
-    for (let j = 1; j < dataEmpleados.length; j++) {
-      const name = String(dataEmpleados[j][0]).trim().toLowerCase();
-      const email = String(dataEmpleados[j][1]).trim().toLowerCase();
-      const team = dataEmpleados[j][2];
-      const saldoHR = Number(dataEmpleados[j][3] || 0);
-      const usados = Number(dataEmpleados[j][4] || 0);
-      const remaining = dataEmpleados[j][5] !== undefined ? Number(dataEmpleados[j][5] || 0) : saldoHR - usados;
-      
-      const empData = { team, saldoHR, usados, remaining };
-      empleadoMap[name] = empData;
-      empleadoMap[email] = empData;
-      teamMap[name] = team;
-      teamMap[email] = team;
-    }
+    const snapshot = readTrackerSnapshot_(false);
+    const dataSolicitudes = snapshot.dataSolicitudes;
+    const empleadoMap = snapshot.empleadoMap;
+    const teamMap = snapshot.teamMap;
+    const commentsById = commentsRepo_().byRequest();
     
     // User Context
     const userKey = userEmail.toLowerCase();
     const userStats = empleadoMap[userKey] || { saldoHR: 0, usados: 0, remaining: 0 };
     const userTeam = teamMap[userKey] || 'General';
-    const managers = getManagerEmails_();
-    const isManager = managers.includes(userEmail);
+    const userCountry = userStats.country || '';
+    const isManager = isApprover_(userEmail);
+    const delegatorsToday = isManager ? getDelegatorsOf_(userEmail, new Date()) : [];
+    const isAdminManager = isManager && getManagerEmails_().some(m => m.toLowerCase() === userKey);
+
+    // Holidays: managers get every scope (team calendars), employees only their own
+    const thisYear = new Date().getFullYear();
+    const holidays = expandHolidays_(getHolidays_(), thisYear - 1, thisYear + 1)
+      .filter(h => isManager || holidayAppliesTo_(h, userTeam, userCountry))
+      .map(h => ({ date: h.fecha, name: h.nombre, scope: h.ambito }));
+    const blackouts = getBlackouts_()
+      .filter(b => isManager || blackoutAppliesTo_(b, userTeam))
+      .map(b => ({ start: b.inicio, end: b.fin, team: b.equipo, reason: b.motivo, mode: b.bloqueo ? 'block' : 'warn' }));
     
     // Process Requests
     const myRequests = [];
     const pendingRequests = [];
     const allRequests = [];
-    const validStates = new Set(['Aprobado', 'Aprobado (Excepción)', 'Pendiente', 'Necesita Revisión']);
+    const validStates = new Set(APPROVED_STATES.concat([ESTADO_PENDIENTE, ESTADO_REVISION]));
     
     for (let i = 1; i < dataSolicitudes.length; i++) {
       const row = dataSolicitudes[i];
@@ -244,28 +363,67 @@ function getDashboardData() {
       const endDate = _safeDate(row[4]);
       const status = String(row[5]);
       const days = row[6];
+      const startHalf = String(row[COL_MEDIO_INICIO - 1] || '');
+      const endHalf = String(row[COL_MEDIO_FIN - 1] || '');
+      const type = normalizeLeaveType_(row[COL_TIPO - 1]);
+      const id = String(row[COL_ID - 1] || '');
+      const version = Number(row[COL_VERSION - 1]) || 0;
+      const approvals = readApprovals_(row[COL_APROBACIONES - 1]);
+      const comments = (commentsById[id] || []).map(c => ({ at: _safeDate(c.at), email: c.email, author: c.author, kind: c.kind, text: c.text }));
+      const isOpen = status === 'Pendiente' || status === 'Necesita Revisión';
+      const isCancelling = status === ESTADO_CANCELACION;
+      const cancellation = isCancelling ? { end: readCancellation_(row[COL_CANCELACION - 1]).fin || null } : null;
+      const chain = isOpen || isCancelling ? getApprovalChain_(teamMap[empleado.trim().toLowerCase()], Number(days) || 0) : [];
+      const step = isOpen ? Math.min(Number(row[COL_PASO - 1]) || 1, chain.length) : null;
+      const steps = isOpen ? chain.length : null;
       
       // User's own requests
       if (email === userEmail.toLowerCase()) {
-        myRequests.push({ id: i + 1, startDate, endDate, status, days });
+        myRequests.push({ id, version, type, startDate, endDate, startHalf, endHalf, status, days, step, steps, approvals, comments, cancellation });
       }
       
       // Manager views
       if (isManager) {
         const empKey = empleado.trim().toLowerCase();
         const requestObj = {
-          id: i + 1,
+          id,
+          version,
           employee: empleado,
           team: teamMap[empKey] || '—',
+          country: (empleadoMap[empKey] || {}).country || '',
           email: email,
           startDate,
           endDate,
+          startHalf,
+          endHalf,
+          type,
           status,
-          days: Number(days) || 0
+          days: Number(days) || 0,
+          step,
+          steps,
+          approvals,
+          comments,
+          cancellation
         };
 
-        if (status === 'Pendiente' || status === 'Necesita Revisión') {
-          pendingRequests.push(requestObj);
+        // Only what is waiting on this manager's step, directly or as a delegate
+        if (isOpen) {
+          const approvers = chain[step - 1];
+          if (approvers.includes(userEmail.toLowerCase())) {
+            pendingRequests.push(requestObj);
+          } else {
+            const delegator = approvers.find(a => delegatorsToday.includes(a));
+            if (delegator) pendingRequests.push(Object.assign({ onBehalfOf: delegator }, requestObj));
+          }
+        } else if (isCancelling) {
+          // Cancellations go to anyone in the chain (see canManageRequest_)
+          const approvers = [].concat.apply([], chain);
+          const delegator = approvers.find(a => delegatorsToday.includes(a));
+          if (isAdminManager || approvers.includes(userKey)) {
+            pendingRequests.push(requestObj);
+          } else if (delegator) {
+            pendingRequests.push(Object.assign({ onBehalfOf: delegator }, requestObj));
+          }
         }
         
         if (validStates.has(status)) {
@@ -281,15 +439,26 @@ function getDashboardData() {
         email: userEmail,
         role: isManager ? 'manager' : 'agent',
         team: userTeam,
+        country: userCountry,
         stats: {
           total: userStats.saldoHR,
           used: userStats.usados,
           remaining: userStats.remaining
-        }
+        },
+        balances: Object.keys(LEAVE_TYPES).map(tipo => {
+          const b = tipo === DEFAULT_LEAVE_TYPE
+            ? { total: userStats.saldoHR, usados: userStats.usados, remaining: userStats.remaining, tracked: true }
+            : ((userStats.balances || {})[tipo] || { total: 0, usados: 0, remaining: 0, tracked: false });
+          return { type: tipo, total: b.total, used: b.usados, remaining: b.remaining, tracked: b.tracked };
+        }),
+        accrual: getAccrualSummary_(userEmail, dataSolicitudes),
+        delegations: isManager ? getDelegationsFor_(userEmail, true) : []
       },
       requests: myRequests,
       pending: pendingRequests,
-      allRequests: allRequests
+      allRequests: allRequests,
+      holidays: holidays,
+      blackouts: blackouts
     };
   } catch(e) {
     console.error("Dashboard Error:", e);
@@ -297,11 +466,27 @@ function getDashboardData() {
   }
 }
 
+/**
+ * Manager View: leave analytics for one year, optionally for one team.
+ * Built on the same sheet read as getDashboardData (see readTrackerSnapshot_).
+ * Returns utilization by team and month, lead time, approval turnaround, conflict share
+ * and the employees likely to lose unused days at the end of the current year.
+ */
+function getTeamAnalytics(year, team) {
+  const userEmail = Session.getActiveUser().getEmail();
+  if (!userEmail) throw new Error("User not identified.");
+  if (!isApprover_(userEmail)) throw new Error("Unauthorized: Only managers can view team analytics.");
+
+  const y = Number(year) || new Date().getFullYear();
+  if (y < 2000 || y > 2100) throw new Error(`Invalid year: ${year}`);
+  return buildTeamAnalytics_(readTrackerSnapshot_(true), y, String(team || '').trim(), new Date());
+}
+
 /**
  * Creates a new vacation request.
  * Implements locking (Mutex) to prevent race conditions during concurrent writes.
  */
-function apiCreateRequest(startDate, endDate) {
+function apiCreateRequest(startDate, endDate, halfDay, leaveType) {
   const userEmail = Session.getActiveUser().getEmail();
   checkRateLimit_(userEmail, 'create_request');
   
@@ -316,38 +501,23 @@ function apiCreateRequest(startDate, endDate) {
     const nombreEmpleado = _buscarNombrePorEmail(userEmail) || userEmail;
     const startObj = parseDateToNoon_(startDate);
     const endObj = parseDateToNoon_(endDate);
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    // Validation: Past dates
-    if (startObj < today) throw new Error('Cannot request vacation for past dates.');
-    
-    // Validation: Minimum Advance Notice
-    if (ENFORCE_MIN_ADVANCE_DAYS && MIN_ADVANCE_DAYS > 0) {
-      const minAdvanceMs = MIN_ADVANCE_DAYS * 24 * 60 * 60 * 1000;
-      if (startObj.getTime() - today.getTime() < minAdvanceMs) {
-        throw new Error(`Requests must be made at least ${MIN_ADVANCE_DAYS} days in advance.`);
-      }
-    }
-
-    // Validation: Overlap
-    const conflict = hasOverlapPendingOrApprovedSameEmployee_(nombreEmpleado, startObj, endObj, -1);
-    if (conflict) throw new Error('You already have a request for these dates.');
+    const halves = normalizeHalfDay_(startObj, endObj, halfDay);
+    const tipo = assertLeaveType_(leaveType);
+    validateRequestDates_(nombreEmpleado, startObj, endObj, halves, -1);
 
     const ss = _getDb();
     const sh = ss.getSheetByName(SHEET_SOLICITUDES);
     
-    sh.appendRow([
-      new Date(), userEmail, nombreEmpleado, startObj, endObj, 'Pendiente', '', ''
-    ]);
-    SpreadsheetApp.flush();
-    
-    const newRowIndex = sh.getLastRow();
+    const requestId = Utilities.getUuid();
+    const newRowIndex = requestsRepo_().append({
+      timestamp: new Date(), email: userEmail, empleado: nombreEmpleado, inicio: startObj, fin: endObj,
+      estado: ESTADO_PENDIENTE, medioInicio: halves.start, medioFin: halves.end, tipo, id: requestId, version: 1
+    });
     const result = processRequestRow_(sh, newRowIndex);
     
-    logAudit_('CREATE_REQUEST', { rowId: newRowIndex, startDate, endDate }, userEmail);
+    logAudit_('CREATE_REQUEST', { requestId, startDate, endDate, halfDay: halves, tipo }, userEmail);
     
-    return { success: true, emailStatus: result };
+    return { success: true, requestId, emailStatus: result };
   } catch (e) { 
     console.error("Error apiCreateRequest:", e);
     throw e;
@@ -358,46 +528,153 @@ function apiCreateRequest(startDate, endDate) {
 
 /**
  * Manager Action: Approve or Reject request.
- * Checks balance availability before approval.
+ * Checks balance availability before approval. Rejections and exception approvals need a reason,
+ * which is emailed to the employee and kept in the request's comment thread.
  */
-function apiProcessRequest(rowId, action) {
-  const userEmail = Session.getActiveUser().getEmail();
-  const managers = getManagerEmails_();
+function apiProcessRequest(requestId, action, expectedVersion, reason) {
+  return processRequest_(requestId, action, Session.getActiveUser().getEmail(), expectedVersion, reason);
+}
+
+/**
+ * Shared by apiProcessRequest and the email action links (see handleActionLinkPost_).
+ */
+function processRequest_(requestId, action, userEmail, expectedVersion, reason) {
+  if (!MANAGER_DECISIONS.includes(action)) throw new Error(`Invalid action: ${action}`);
+  const note = normalizeReason_(action, reason);
   
-  if (!managers.includes(userEmail)) {
+  if (!isApprover_(userEmail)) {
+    throw new Error("Unauthorized: Only managers can perform this action.");
+  }
+
+  const lock = LockService.getScriptLock();
+  try { lock.waitLock(10000); } catch (e) { throw new Error('Server busy.'); }
+
+  try {
+    return processRequestLocked_(requestId, action, userEmail, expectedVersion, note);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Manager Action: applies one decision to many requests under a single lock.
+ * Each item is a request ID or {id, version}; a failing item does not stop the others.
+ * Balances are recalculated once and each affected employee gets a single summary email.
+ * The reason, when given, applies to every item.
+ * @return {{success: boolean, processed: number, failed: number, results: Array<{id: string, ok: boolean, error?: string}>}}
+ */
+function apiProcessRequests(items, action, reason) {
+  const userEmail = Session.getActiveUser().getEmail();
+  if (!MANAGER_DECISIONS.includes(action)) throw new Error(`Invalid action: ${action}`);
+  const note = normalizeReason_(action, reason);
+  if (!isApprover_(userEmail)) {
     throw new Error("Unauthorized: Only managers can perform this action.");
   }
+  if (!Array.isArray(items) || items.length === 0) throw new Error('No requests selected.');
+  if (items.length > BULK_MAX_REQUESTS) throw new Error(`Too many requests: select at most ${BULK_MAX_REQUESTS} at a time.`);
+
+  const lock = LockService.getScriptLock();
+  try { lock.waitLock(10000); } catch (e) { throw new Error('Server busy.'); }
+
+  try {
+    const batch = { usage: {}, decided: {} };
+    const seen = {};
+    const results = items.map(item => {
+      const id = String(item && typeof item === 'object' ? item.id : item || '').trim();
+      const version = item && typeof item === 'object' ? item.version : undefined;
+      if (!id) return { id, ok: false, error: 'Missing request ID.' };
+      if (seen[id]) return { id, ok: false, error: 'Duplicate request in selection.' };
+      seen[id] = true;
+      try {
+        const res = processRequestLocked_(id, action, userEmail, version, note, batch);
+        return { id, ok: true, step: res.step, final: res.final, version: res.version };
+      } catch (e) {
+        return { id, ok: false, error: e.message };
+      }
+    });
+
+    const decidedEmails = Object.keys(batch.decided);
+    if (decidedEmails.length) recalcEmpleados_();
+    decidedEmails.forEach(email => sendDecisionSummary_(email, batch.decided[email]));
+
+    const processed = results.filter(r => r.ok).length;
+    logAudit_('BULK_MANAGER_ACTION', { action, processed, failed: results.length - processed, requestIds: Object.keys(seen) }, userEmail);
+    return { success: true, processed, failed: results.length - processed, results };
+  } finally {
+    lock.releaseLock();
+  }
+}
 
+/**
+ * Body of apiProcessRequest. Caller must hold the script lock.
+ * With a batch (see apiProcessRequests) the balance check also counts days approved earlier in the
+ * same batch, and the employee email and balance recalculation are left to the caller.
+ */
+function processRequestLocked_(requestId, action, userEmail, expectedVersion, reason, batch) {
   const ss = _getDb();
   const sh = ss.getSheetByName(SHEET_SOLICITUDES);
+  const rowId = resolveRequestRow_(sh, requestId);
+  assertVersion_(sh, rowId, expectedVersion);
   
   // Fetch current data state
-  const empleado = sh.getRange(rowId, 3).getValue();
-  const dias = Number(sh.getRange(rowId, 7).getValue()) || 0;
-  const prevEstado = sh.getRange(rowId, 6).getValue();
+  const request = requestsRepo_().findByRow(rowId);
+  const empleado = request.empleado;
+  const dias = Number(request.dias) || 0;
+  const prevEstado = request.estado;
+  const tipo = normalizeLeaveType_(request.tipo);
+  assertTransition_(prevEstado, action);
+
+  // Authorization: only the approvers of the current step (or their active delegates) may decide
+  const approval = getApprovalState_(sh, rowId);
+  const onBehalfOf = assertStepApprover_(approval, userEmail);
   
-  // Validation: Balance Check
-  if (action === 'Aprobado' && ENFORCE_BALANCE_BEFORE_EVENT) {
-    const totals = getEmployeeTotals_(empleado);
-    const newRemaining = totals.remaining - dias;
-    if (newRemaining < 0) {
-      throw new Error(`Insufficient balance. Employee has ${totals.remaining} days left, but requested ${dias}. Use "Approved (Exception)" to override.`);
+  // Validation: Balance Check (per leave type)
+  if (action === ESTADO_APROBADO && ENFORCE_BALANCE_BEFORE_EVENT) {
+    const totals = getEmployeeTotals_(empleado, tipo);
+    const remaining = totals.remaining - (batch ? batch.usage[`${empleado}|${tipo}`] || 0 : 0);
+    if (totals.tracked && remaining - dias < 0) {
+      throw new Error(`Insufficient ${LEAVE_TYPES[tipo].label.toLowerCase()} balance. Employee has ${remaining} days left, but requested ${dias}. Use "Approved (Exception)" to override.`);
     }
   }
   
+  recordApprovalStep_(sh, rowId, approval, userEmail, action, onBehalfOf, reason);
+  if (reason) {
+    commentsRepo_().append({ requestId: request.id, email: userEmail, author: _buscarNombrePorEmail(userEmail), kind: action, text: reason });
+  }
+  const version = bumpVersion_(sh, rowId);
+
+  // Intermediate approval: hand over to the next step without changing the status
+  if (String(action).includes('Aprobado') && approval.step < approval.chain.length) {
+    const nextStep = approval.step + 1;
+    requestsRepo_().update(rowId, { paso: nextStep });
+    notifyStepApprovers_(sh, rowId, approval.chain[nextStep - 1], nextStep, approval.chain.length, userEmail);
+    logAudit_('APPROVAL_STEP', { requestId, action, empleado, dias, tipo, step: approval.step, onBehalfOf }, userEmail);
+    return { success: true, step: nextStep, final: false, version };
+  }
+  
   // Update Status
-  sh.getRange(rowId, 6).setValue(action);
-  handleEstadoChange_(sh, rowId, prevEstado);
-  recalcEmpleados_();
+  requestsRepo_().update(rowId, { estado: action });
+  handleEstadoChange_(sh, rowId, prevEstado, !batch);
+  if (batch) {
+    if (action !== ESTADO_RECHAZADO) batch.usage[`${empleado}|${tipo}`] = (batch.usage[`${empleado}|${tipo}`] || 0) + dias;
+    const email = String(request.email || '').trim().toLowerCase();
+    if (email) {
+      (batch.decided[email] = batch.decided[email] || []).push({
+        estado: action, tipo, dias, reason, periodo: fmtPeriod_(request.inicio, request.fin, request.medioInicio, request.medioFin)
+      });
+    }
+  } else {
+    recalcEmpleados_();
+  }
   
-  logAudit_('MANAGER_ACTION', { rowId, action, empleado, dias }, userEmail);
-  return { success: true };
+  logAudit_('MANAGER_ACTION', { requestId, action, empleado, dias, tipo, step: approval.step, onBehalfOf }, userEmail);
+  return { success: true, step: approval.step, final: true, version };
 }
 
 /**
  * Cancels a request. Only owner or manager can cancel.
  */
-function apiCancelRequest(rowId) {
+function apiCancelRequest(requestId, expectedVersion) {
   const userEmail = Session.getActiveUser().getEmail();
   checkRateLimit_(userEmail, 'cancel_request');
   
@@ -407,39 +684,33 @@ function apiCancelRequest(rowId) {
   try {
     const ss = _getDb();
     const sh = ss.getSheetByName(SHEET_SOLICITUDES);
-    const data = sh.getDataRange().getValues();
+    const rowId = resolveRequestRow_(sh, requestId);
+    const request = requestsRepo_().findByRow(rowId);
+    const status = String(request.estado);
     
     // Security Check: Ownership
-    let found = false;
-    let status = '';
-    for (let i = 1; i < data.length; i++) {
-      if (i + 1 === rowId) {
-        const requestEmail = String(data[i][1]).trim().toLowerCase();
-        status = String(data[i][5]);
-        if (requestEmail === userEmail.toLowerCase()) found = true;
-        break;
-      }
-    }
-    
-    if (!found) throw new Error("Request not found or permission denied.");
-    if (status !== 'Pendiente' && status !== 'Necesita Revisión') throw new Error(`Cannot cancel request with status: ${status}`);
+    if (String(request.email).trim().toLowerCase() !== userEmail.toLowerCase()) throw new Error("Request not found or permission denied.");
+    assertVersion_(sh, rowId, expectedVersion);
+    if (isApprovedState_(status)) throw new Error('Approved leave can only be cancelled with your manager\'s confirmation. Please request a cancellation instead.');
+    assertTransition_(status, ESTADO_CANCELADO);
 
     // Update Status
-    sh.getRange(rowId, 6).setValue('Cancelado');
+    requestsRepo_().update(rowId, { estado: ESTADO_CANCELADO });
+    bumpVersion_(sh, rowId);
     
     // Clean up Calendar
-    const eventId = sh.getRange(rowId, 8).getValue();
+    const eventId = request.eventId;
     if (eventId) {
       try {
         const cal = getCalendar_();
         const ev = cal.getEventById(eventId);
         if (ev) ev.deleteEvent();
-        sh.getRange(rowId, 8).clearContent();
-      } catch(e) { console.warn('Calendar cleanup failed:', e); }
+        requestsRepo_().update(rowId, { eventId: '' });
+      } catch(e) { recordCalendarWriteFailure_(request.id, 'delete', e); }
     }
     
     recalcEmpleados_();
-    logAudit_('CANCEL_REQUEST', { rowId }, userEmail);
+    logAudit_('CANCEL_REQUEST', { requestId }, userEmail);
     return { success: true };
   } catch (e) { 
     throw e; 
@@ -451,7 +722,7 @@ function apiCancelRequest(rowId) {
 /**
  * Edits an existing pending request.
  */
-function apiEditRequest(rowId, startDate, endDate) {
+function apiEditRequest(requestId, startDate, endDate, halfDay, leaveType, expectedVersion) {
   const userEmail = Session.getActiveUser().getEmail();
   checkRateLimit_(userEmail, 'edit_request');
   
@@ -461,22 +732,31 @@ function apiEditRequest(rowId, startDate, endDate) {
   try {
     const ss = _getDb();
     const sh = ss.getSheetByName(SHEET_SOLICITUDES);
+    const rowId = resolveRequestRow_(sh, requestId);
+    const request = requestsRepo_().findByRow(rowId);
     
-    // Security & State check logic (abbreviated for brevity, same as Create logic)
-    // ... Checks ownership, status, valid dates, overlaps ...
+    // Security Check: Ownership
+    if (String(request.email).trim().toLowerCase() !== userEmail.toLowerCase()) throw new Error("Request not found or permission denied.");
+    assertVersion_(sh, rowId, expectedVersion);
+    assertTransition_(request.estado, ESTADO_PENDIENTE);
 
     const startObj = parseDateToNoon_(startDate);
     const endObj = parseDateToNoon_(endDate);
+    const halves = normalizeHalfDay_(startObj, endObj, halfDay);
+    const tipo = leaveType ? assertLeaveType_(leaveType) : normalizeLeaveType_(request.tipo);
+    validateRequestDates_(request.empleado, startObj, endObj, halves, rowId);
     
-    // Update
-    sh.getRange(rowId, 4).setValue(startObj);
-    sh.getRange(rowId, 5).setValue(endObj);
-    sh.getRange(rowId, 6).setValue('Pendiente'); // Reset status to Pending
+    // Update (new dates restart the approval chain)
+    requestsRepo_().update(rowId, {
+      inicio: startObj, fin: endObj, estado: ESTADO_PENDIENTE,
+      medioInicio: halves.start, medioFin: halves.end, tipo, paso: '', aprobaciones: ''
+    });
+    const version = bumpVersion_(sh, rowId);
     
     processRequestRow_(sh, rowId); // Re-run business logic
-    logAudit_('EDIT_REQUEST', { rowId, startDate, endDate }, userEmail);
+    logAudit_('EDIT_REQUEST', { requestId, startDate, endDate, halfDay: halves, tipo }, userEmail);
 
-    return { success: true };
+    return { success: true, version };
   } catch (e) { 
     throw e;
   } finally { 
@@ -484,227 +764,4353 @@ function apiEditRequest(rowId, startDate, endDate) {
   }
 }
 
-/* ==========================================================================
-   BUSINESS LOGIC & CORE FUNCTIONS
-   ========================================================================== */
-
 /**
- * Core processing logic for a request.
- * Checks for conflicts (Team & Self), calculates business days, and updates status/notifications.
+ * Asks a manager to cancel approved leave, or to shorten it so it ends on newEndDate.
+ * The leave stays booked until a manager confirms (apiProcessCancellation).
  */
-function processRequestRow_(sheet, row) {
-  let userNotified = { success: false, error: null };
-  let managersNotified = { success: false, error: null };
-  
+function apiRequestCancellation(requestId, newEndDate, expectedVersion, reason) {
+  const userEmail = Session.getActiveUser().getEmail();
+  checkRateLimit_(userEmail, 'cancel_request');
+  const note = normalizeCommentText_(reason);
+
+  const lock = LockService.getScriptLock();
+  try { lock.waitLock(10000); } catch (e) { throw new Error('Server busy.'); }
+
   try {
-    const estadoCell = sheet.getRange(row, 6);
-    if (!estadoCell.getValue()) estadoCell.setValue('Pendiente');
+    const sh = _getDb().getSheetByName(SHEET_SOLICITUDES);
+    const rowId = resolveRequestRow_(sh, requestId);
+    const request = requestsRepo_().findByRow(rowId);
 
-    const email    = sheet.getRange(row, 2).getValue();
-    const empleado = sheet.getRange(row, 3).getValue();
-    const ini      = sheet.getRange(row, 4).getValue();
-    const fin      = sheet.getRange(row, 5).getValue();
-    const team     = getEmployeeTeam_(String(empleado || '').trim()) || '—';
+    // Security Check: Ownership
+    if (String(request.email).trim().toLowerCase() !== userEmail.toLowerCase()) throw new Error("Request not found or permission denied.");
+    assertVersion_(sh, rowId, expectedVersion);
+    assertTransition_(request.estado, ESTADO_CANCELACION);
 
-    // Validate Data
-    const isValid = empleado && ini && fin && normalizeDate_(fin) >= normalizeDate_(ini);
-    if (!isValid) {
-      estadoCell.setNote('Invalid Data');
-      return { userNotified, managersNotified };
+    const newEnd = newEndDate ? parseDateToNoon_(newEndDate) : null;
+    assertCancellableRange_(request, newEnd);
+
+    requestsRepo_().update(rowId, {
+      estado: ESTADO_CANCELACION,
+      cancelacion: JSON.stringify({ fin: newEnd ? dateKey_(newEnd) : '', estadoPrevio: request.estado, by: userEmail, at: new Date().toISOString() })
+    });
+    const version = bumpVersion_(sh, rowId);
+    if (note) {
+      commentsRepo_().append({ requestId: request.id, email: userEmail, author: _buscarNombrePorEmail(userEmail), kind: ESTADO_CANCELACION, text: note });
     }
 
-    // Calculate Days
-    const dias = countBusinessDays_(ini, fin);
-    sheet.getRange(row, 7).setValue(dias);
+    notifyCancellationRequested_(requestsRepo_().findByRow(rowId), newEnd);
+    logAudit_('REQUEST_CANCELLATION', { requestId: request.id, newEnd: newEnd ? dateKey_(newEnd) : null }, userEmail);
+    return { success: true, version };
+  } finally {
+    lock.releaseLock();
+  }
+}
 
-    // Conflict Checks
-    const teamOverlap = hasTeamOverlapPendingOrApproved_(empleado, ini, fin, row);
-    const selfOverlap = hasOverlapPendingOrApprovedSameEmployee_(empleado, ini, fin, row);
+/**
+ * Manager Action: confirms or declines a cancellation request.
+ * Confirming removes or shortens the calendar event and refunds the days: a shortened request is
+ * recounted here (audited as CANCELLATION_REFUND), then recalcEmpleados_ rewrites the balances.
+ * Days already taken are kept: leave that has started is cut short to end yesterday.
+ */
+function apiProcessCancellation(requestId, confirm, expectedVersion, reason) {
+  const userEmail = Session.getActiveUser().getEmail();
+  if (!isApprover_(userEmail)) {
+    throw new Error("Unauthorized: Only managers can perform this action.");
+  }
+  const note = normalizeCommentText_(reason);
 
-    let subjectManager = '';
-    let bodyManager = '';
+  const lock = LockService.getScriptLock();
+  try { lock.waitLock(10000); } catch (e) { throw new Error('Server busy.'); }
 
-    if (teamOverlap) {
-      estadoCell.setValue('Necesita Revisión');
-      estadoCell.setNote(`⚠️ Conflict with ${teamOverlap.empleado} (${teamOverlap.estado})`);
-      
-      // Notify User
-      if (email) {
-        const userBody = createEmailTemplate_(
-          'Action Required: Coverage Conflict',
-          `<p>Hello <strong>${empleado}</strong>,</p>
-           <p>We received your request. However, we detected a coverage conflict with <strong>${teamOverlap.empleado}</strong> who also has time off scheduled.</p>
-           <p>Your manager will review this manually.</p>`
-        );
-        userNotified = sendEmailSafe_(email, 'Request Under Review', userBody);
-      }
-      
-      // Prepare Manager Notification
-      subjectManager = `[Vacation] ⚠️ Conflict - ${empleado} (${team})`;
-      bodyManager = createEmailTemplate_(
-        `Coverage Conflict Detected`,
-        `<p><strong>Employee:</strong> ${empleado} (${team})</p>
-         <p><strong>Conflict with:</strong> ${teamOverlap.empleado}</p>
-         <p><strong>Dates:</strong> ${fmtDate_(ini)} - ${fmtDate_(fin)}</p>
-         <p style="color: #ff9500;">⚠️ Please review coverage before approving.</p>`
-      );
-      
-    } else if (selfOverlap) {
-        // Similar logic for self-overlap...
-        estadoCell.setValue('Necesita Revisión');
-        estadoCell.setNote('⚠️ Duplicate Request');
-    } else {
-      // No Conflicts - Clean Request
-      subjectManager = `[Vacation] New Request - ${empleado}`;
-      bodyManager = createEmailTemplate_(
-        `New Vacation Request`,
-        `<p><strong>Employee:</strong> ${empleado} (${team})</p>
-         <p><strong>Period:</strong> ${fmtDate_(ini)} - ${fmtDate_(fin)}</p>
-         <p><strong>Duration:</strong> ${dias} business days</p>
-         <p style="color: #34c759;">✅ No conflicts detected.</p>`
-      );
-      
-      if (email) {
-        const userBody = createEmailTemplate_(
-            'Request Received',
-            `<p>Your request for <strong>${fmtDate_(ini)} to ${fmtDate_(fin)}</strong> has been received and is pending approval.</p>`
-        );
-        userNotified = sendEmailSafe_(email, 'Request Received', userBody);
-      }
-    }
+  try {
+    const sh = _getDb().getSheetByName(SHEET_SOLICITUDES);
+    const rowId = resolveRequestRow_(sh, requestId);
+    const request = requestsRepo_().findByRow(rowId);
+    if (!canManageRequest_(request, userEmail)) throw new Error("Request not found or permission denied.");
+    assertVersion_(sh, rowId, expectedVersion);
+    if (request.estado !== ESTADO_CANCELACION) throw new Error('This request has no cancellation waiting for confirmation.');
+
+    const pending = readCancellation_(request.cancelacion);
+    const outcome = confirm ? resolveCancellationEnd_(request, pending.fin) : null;
+    const prevEstado = pending.estadoPrevio;
 
-    if (subjectManager) {
-      managersNotified = notifyManagersCompact_(subjectManager, bodyManager);
+    if (note) {
+      commentsRepo_().append({ requestId: request.id, email: userEmail, author: _buscarNombrePorEmail(userEmail), kind: confirm ? ESTADO_CANCELADO : prevEstado, text: note });
     }
 
+    if (!outcome || outcome.keep) {
+      // Declined, or the leave ended while waiting: nothing to give back
+      assertTransition_(ESTADO_CANCELACION, prevEstado);
+      requestsRepo_().update(rowId, { estado: prevEstado, cancelacion: '' });
+    } else if (outcome.end) {
+      assertTransition_(ESTADO_CANCELACION, prevEstado);
+      const start = parseDateToNoon_(request.inicio);
+      const dias = countRequestDays_(start, outcome.end, getHolidaySetFor_(request.empleado, start, outcome.end), request.medioInicio, '');
+      requestsRepo_().update(rowId, { estado: prevEstado, fin: outcome.end, medioFin: '', dias, cancelacion: '' });
+      handleEstadoChange_(sh, rowId, ESTADO_CANCELACION, false); // Shortens the calendar event
+      logAudit_('CANCELLATION_REFUND', { requestId: request.id, from: Number(request.dias) || 0, to: dias, refunded: round2_((Number(request.dias) || 0) - dias) }, userEmail);
+    } else {
+      assertTransition_(ESTADO_CANCELACION, ESTADO_CANCELADO);
+      requestsRepo_().update(rowId, { estado: ESTADO_CANCELADO, cancelacion: '' });
+      handleEstadoChange_(sh, rowId, ESTADO_CANCELACION, false); // Removes the calendar event
+    }
+    const version = bumpVersion_(sh, rowId);
     recalcEmpleados_();
-    sortSolicitudesByFechaInicio_();
 
-  } catch (e) {
-    console.error("Error processing row " + row, e);
+    const updated = requestsRepo_().findByRow(rowId);
+    notifyCancellationDecision_(updated, request, outcome, userEmail);
+    logAudit_('PROCESS_CANCELLATION', {
+      requestId: request.id, confirm: !!confirm, estado: updated.estado, newEnd: outcome && outcome.end ? dateKey_(outcome.end) : null
+    }, userEmail);
+    return { success: true, estado: updated.estado, version };
+  } finally {
+    lock.releaseLock();
   }
-  
-  return { userNotified, managersNotified };
 }
 
-/* ==========================================================================
-   PRIVATE HELPERS
-   ========================================================================== */
+/**
+ * Adds a comment to a request's thread. Open to the employee, the request's approvers
+ * (and their active delegates) and the admin managers. The other side is emailed.
+ */
+function apiAddComment(requestId, text) {
+  const userEmail = Session.getActiveUser().getEmail();
+  checkRateLimit_(userEmail, 'add_comment');
+  const body = normalizeCommentText_(text);
+  if (!body) throw new Error('Please write a comment.');
 
-function createEmailTemplate_(title, body, actionUrl, actionText) {
-  // Generic responsive HTML template
-  return `
-    <!DOCTYPE html>
-    <html>
-    <head><meta charset="UTF-8"></head>
-    <body style="margin: 0; padding: 0; font-family: -apple-system, sans-serif; background-color: #f5f5f7;">
-      <table width="100%" cellpadding="0" cellspacing="0" style="padding: 40px 20px;">
-        <tr><td align="center">
-          <table width="600" cellpadding="0" cellspacing="0" style="background-color: white; border-radius: 16px; overflow: hidden; box-shadow: 0 4px 12px rgba(0,0,0,0.05);">
-            <tr><td style="background: linear-gradient(135deg, #0071e3 0%, #00c6ff 100%); padding: 32px; text-align: center;">
-              <h1 style="color: white; margin: 0; font-size: 24px;">✈️ Vacation Portal</h1>
-            </td></tr>
-            <tr><td style="padding: 40px 32px;">
-              <h2 style="color: #1d1d1f; margin-top: 0;">${title}</h2>
-              <div style="color: #4a4a4a; line-height: 1.6;">${body}</div>
-              ${actionUrl ? `<div style="margin-top: 30px; text-align: center;"><a href="${actionUrl}" style="background-color: #0071e3; color: white; padding: 12px 24px; text-decoration: none; border-radius: 8px;">${actionText || 'View in Portal'}</a></div>` : ''}
-            </td></tr>
-            <tr><td style="background: #f5f5f7; padding: 24px; text-align: center; color: #86868b; font-size: 12px;">
-              Automated System Notification
-            </td></tr>
-          </table>
-        </td></tr>
-      </table>
-    </body>
-    </html>
-  `;
-}
+  const lock = LockService.getScriptLock();
+  try { lock.waitLock(10000); } catch (e) { throw new Error('Server busy.'); }
 
-function sendEmailSafe_(to, subject, htmlBody, cc) {
-  try { 
-    const options = { htmlBody: htmlBody };
-    if (cc) options.cc = cc;
-    MailApp.sendEmail(to, subject, '', options);
-    return { success: true, error: null };
-  } catch (e) { 
-    console.warn("Email failed to " + to, e);
-    return { success: false, error: e.message };
+  try {
+    const sh = _getDb().getSheetByName(SHEET_SOLICITUDES);
+    const request = requestsRepo_().findByRow(resolveRequestRow_(sh, requestId));
+    if (!canViewRequest_(request, userEmail)) throw new Error("Request not found or permission denied.");
+
+    const comment = { at: new Date(), requestId: request.id, email: userEmail, author: _buscarNombrePorEmail(userEmail), kind: COMMENT_KIND, text: body };
+    commentsRepo_().append(comment);
+    notifyComment_(request, comment);
+    logAudit_('ADD_COMMENT', { requestId: request.id }, userEmail);
+
+    return { success: true, comment: { at: _safeDate(comment.at), email: comment.email, author: comment.author, kind: comment.kind, text: comment.text } };
+  } finally {
+    lock.releaseLock();
   }
 }
 
-function parseDateToNoon_(dateStr) {
-  if (!dateStr) return null;
-  if (dateStr instanceof Date) {
-    const d = new Date(dateStr);
-    d.setHours(12, 0, 0, 0);
-    return d;
-  }
-  const parts = String(dateStr).split('-');
-  if (parts.length < 3) return new Date(dateStr); 
-  const y = parseInt(parts[0], 10);
-  const m = parseInt(parts[1], 10) - 1;
-  const d = parseInt(parts[2].substring(0, 2), 10);
-  return new Date(y, m, d, 12, 0, 0);
+/**
+ * Subscription URLs for the user's ICS feeds. Managers also get the company feed and one per team.
+ */
+function apiGetCalendarFeeds() {
+  const userEmail = Session.getActiveUser().getEmail();
+  if (!userEmail) throw new Error("User not identified.");
+  return describeFeeds_(userEmail, getFeedToken_(userEmail, false));
 }
 
-function _buscarNombrePorEmail(email) {
-  const ss = _getDb();
-  const sh = ss.getSheetByName(SHEET_EMPLEADOS);
-  if (!sh) return email;
-  const data = sh.getDataRange().getValues();
-  const searchEmail = String(email).trim().toLowerCase();
-  for (let i = 1; i < data.length; i++) {
-    if (String(data[i][1]).trim().toLowerCase() === searchEmail) return data[i][0];
-  }
-  return email; 
+/**
+ * Replaces the user's feed token. Every URL handed out before stops working.
+ */
+function apiResetCalendarFeedToken() {
+  const userEmail = Session.getActiveUser().getEmail();
+  if (!userEmail) throw new Error("User not identified.");
+  checkRateLimit_(userEmail, 'reset_feed_token');
+  const token = getFeedToken_(userEmail, true);
+  logAudit_('RESET_FEED_TOKEN', {}, userEmail);
+  return describeFeeds_(userEmail, token);
 }
 
-function getEmployeeTotals_(empleadoOrEmail) {
-  const ss = _getDb(); 
-  const shE = ss.getSheetByName(SHEET_EMPLEADOS);
-  if (!shE) return { total: 0, usados: 0, remaining: 0, row: -1 };
-  
-  const last = shE.getLastRow();
-  if (last < 2) return { total: 0, usados: 0, remaining: 0, row: -1 };
+/**
+ * Events the user can route to email and/or their team's chat space (see NOTIFICATION_EVENTS).
+ */
+function getNotificationPreferences() {
+  const userEmail = Session.getActiveUser().getEmail();
+  if (!userEmail) throw new Error("User not identified.");
+  return describeNotificationPreferences_(userEmail);
+}
 
-  const headers = shE.getRange(1, 1, 1, shE.getLastColumn()).getValues()[0];
-  const saldoVacacionesIdx = headers.indexOf('SaldoVacaciones');
-  
-  // Assuming standard columns if dynamic search fails
-  const saldoHRIdx = 3;
-  const usadosIdx = 4;
-  const maxIdx = Math.max(saldoHRIdx, usadosIdx, saldoVacacionesIdx) + 1;
-  
-  const vals = shE.getRange(2, 1, last - 1, maxIdx).getValues();
-  const search = String(empleadoOrEmail || '').trim().toLowerCase();
-  
-  for (let i = 0; i < vals.length; i++) {
-    const emp = String(vals[i][0] || '').trim().toLowerCase();
-    const email = String(vals[i][1] || '').trim().toLowerCase();
-    
-    if (emp === search || email === search) {
-      const saldoHR = Number(vals[i][saldoHRIdx] || 0);
-      const usados = Number(vals[i][usadosIdx] || 0);
-      let remaining = 0;
-      if (saldoVacacionesIdx > -1) remaining = Number(vals[i][saldoVacacionesIdx] || 0);
-      else remaining = saldoHR - usados;
-      
-      return { total: saldoHR, usados: usados, remaining: remaining, row: i + 2 };
-    }
+/**
+ * Saves the user's channels per event, e.g. {approval_needed: ['email', 'chat'], reminder: ['chat']}.
+ * Chat is refused for events that are only sent by email (see CHAT_TEMPLATES).
+ * Events left out keep their current channels; every event needs at least one channel.
+ * Approvers may also pass approvalMode: 'inmediato' (one notice per request) or 'resumen' (daily digest).
+ */
+function apiSetNotificationPreferences(preferences, approvalMode) {
+  const userEmail = Session.getActiveUser().getEmail();
+  if (!userEmail) throw new Error("User not identified.");
+  checkRateLimit_(userEmail, 'set_notifications');
+
+  const current = describeNotificationPreferences_(userEmail);
+  const offered = current.events.map(e => e.event);
+  if (approvalMode !== undefined && approvalMode !== null) {
+    if (current.approvalMode === undefined) throw new Error("Unauthorized: Only approvers can choose a digest.");
+    if (!APPROVAL_MODES.includes(approvalMode)) throw new Error(`Invalid approval mode: ${approvalMode}`);
   }
-  return { total: 0, usados: 0, remaining: 0, row: -1 };
-}
+  const choices = {};
+  Object.keys(preferences || {}).forEach(ev => {
+    if (!offered.includes(ev)) throw new Error(`Unknown notification event: ${ev}`);
+    const channels = parseChannels_(preferences[ev]);
+    if (channels.includes('chat') && !NOTIFICATION_EVENTS[ev].chat) throw new Error(`"${NOTIFICATION_EVENTS[ev].label}" is only sent by email.`);
+    if (!channels.length) throw new Error(`Choose at least one channel for "${NOTIFICATION_EVENTS[ev].label}".`);
+    choices[ev] = channels;
+  });
 
-function getCalendar_() {
-  const cals = CalendarApp.getCalendarsByName(CALENDAR_NAME);
-  return cals.length ? cals[0] : CalendarApp.createCalendar(CALENDAR_NAME);
+  const lock = LockService.getScriptLock();
+  try { lock.waitLock(10000); } catch (e) { throw new Error('Server busy.'); }
+
+  try {
+    writeNotificationPreferences_(userEmail, choices, approvalMode || '');
+    logAudit_('SET_NOTIFICATION_PREFERENCES', { choices, approvalMode }, userEmail);
+    return describeNotificationPreferences_(userEmail);
+  } finally {
+    lock.releaseLock();
+  }
 }
 
-function normalizeDate_(d) { 
-  const date = new Date(d); date.setHours(0, 0, 0, 0); return date;
+/**
+ * Manager View: notifications that ran out of retries (dead letters), newest first.
+ * Only the envelope is returned, not the message itself.
+ */
+function getFailedNotifications() {
+  const userEmail = Session.getActiveUser().getEmail();
+  if (!isApprover_(userEmail)) throw new Error("Unauthorized: Only managers can view failed notifications.");
+
+  return readOutbox_().items
+    .filter(item => item.state === OUTBOX_FALLIDO)
+    .sort((a, b) => b.updatedAt - a.updatedAt)
+    .map(item => ({
+      id: item.id, createdAt: _safeDate(item.createdAt), channel: item.channel, recipients: item.recipients,
+      subject: item.subject, attempts: item.attempts, lastError: item.error, failedAt: _safeDate(item.updatedAt)
+    }));
 }
 
-function countBusinessDays_(start, end) {
+/**
+ * Manager Action: sends dead letters again, as they were first written.
+ * Items that fail once more go back to the retry schedule.
+ * @return {{results: Array<{id: string, status: string, error?: string}>}} status: sent | queued | skipped
+ */
+function apiResendNotifications(ids) {
+  const userEmail = Session.getActiveUser().getEmail();
+  if (!isApprover_(userEmail)) throw new Error("Unauthorized: Only managers can resend notifications.");
+  checkRateLimit_(userEmail, 'resend_notifications');
+
+  const wanted = [...new Set([].concat(ids || []).map(id => String(id || '').trim()).filter(Boolean))];
+  if (!wanted.length) throw new Error('Choose at least one notification to resend.');
+  if (wanted.length > OUTBOX_BATCH) throw new Error(`At most ${OUTBOX_BATCH} notifications can be resent at once.`);
+
+  const lock = LockService.getScriptLock();
+  try { lock.waitLock(30000); } catch (e) { throw new Error('Server busy. Please try again.'); }
+
+  try {
+    const outbox = readOutbox_();
+    const quota = { email: getMailService_().getRemainingDailyQuota() };
+    const results = wanted.map(id => {
+      const item = outbox.items.find(x => x.id === id);
+      if (!item || item.state !== OUTBOX_FALLIDO) return { id, status: 'skipped', error: 'Not a failed notification.' };
+      item.attempts = 0;
+      const res = attemptOutboxItem_(item, quota);
+      writeOutboxState_(outbox.sheet, item.row, res);
+      return res.state === OUTBOX_ENVIADO ? { id, status: 'sent' } : { id, status: 'queued', error: res.error };
+    });
+
+    logAudit_('RESEND_NOTIFICATIONS', { ids: wanted, sent: results.filter(r => r.status === 'sent').length }, userEmail);
+    return { results };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Manager Action: leave usage between two dates, optionally for one team.
+ * 'csv' returns the file for the browser to download; 'sheet' creates a spreadsheet
+ * shared with the caller and returns its URL.
+ */
+function apiExportUsageReport(startDate, endDate, team, format) {
+  const userEmail = Session.getActiveUser().getEmail();
+  if (!isApprover_(userEmail)) {
+    throw new Error("Unauthorized: Only managers can export reports.");
+  }
+  checkRateLimit_(userEmail, 'export_report');
+
+  const from = parseDateToNoon_(startDate);
+  const to = parseDateToNoon_(endDate);
+  if (!from || !to || isNaN(from.getTime()) || isNaN(to.getTime())) throw new Error('Please choose a valid date range.');
+  if (to < from) throw new Error('The end date must be on or after the start date.');
+  if ((to - from) / 86400000 > REPORT_MAX_DAYS) throw new Error(`Reports can cover at most ${REPORT_MAX_DAYS} days.`);
+  const mode = format || 'csv';
+  if (mode !== 'csv' && mode !== 'sheet') throw new Error(`Unknown report format: ${mode}`);
+
+  const teamName = String(team || '').trim();
+  const report = buildUsageReport_(from, to, teamName);
+  const name = `Leave usage ${dateKey_(from)} to ${dateKey_(to)}${teamName ? ` - ${teamName}` : ''}`;
+  logAudit_('EXPORT_USAGE_REPORT', { from: dateKey_(from), to: dateKey_(to), team: teamName, format: mode, employees: report.summary.length - 1 }, userEmail);
+
+  if (mode === 'csv') {
+    return { success: true, format: mode, filename: `${name}.csv`, mimeType: 'text/csv', content: toCsv_(report.summary) };
+  }
+  return { success: true, format: mode, name, url: writeUsageSpreadsheet_(name, report, userEmail) };
+}
+
+/**
+ * Manager Action: names a delegate who may approve on the manager's behalf.
+ * Without dates the delegation applies automatically whenever the manager is on approved leave.
+ */
+function apiSetDelegation(delegateEmail, startDate, endDate) {
+  const userEmail = Session.getActiveUser().getEmail();
+  checkRateLimit_(userEmail, 'set_delegation');
+  if (!isDirectApprover_(userEmail)) throw new Error("Unauthorized: Only managers can delegate approvals.");
+
+  const delegate = String(delegateEmail || '').trim().toLowerCase();
+  if (delegate.indexOf('@') === -1) throw new Error('Please enter a valid delegate email.');
+  if (delegate === userEmail.toLowerCase()) throw new Error('You cannot delegate to yourself.');
+
+  const startObj = startDate ? parseDateToNoon_(startDate) : '';
+  const endObj = endDate ? parseDateToNoon_(endDate) : '';
+  if (!!startObj !== !!endObj) throw new Error('Please provide both dates, or neither for automatic delegation.');
+  if (startObj && normalizeDate_(endObj) < normalizeDate_(startObj)) throw new Error('End date must be on or after the start date.');
+
+  const lock = LockService.getScriptLock();
+  try { lock.waitLock(10000); } catch (e) { throw new Error('Server busy.'); }
+
+  try {
+    getDelegationSheet_().appendRow([userEmail.toLowerCase(), delegate, startObj, endObj, new Date(), Utilities.getUuid()]);
+    logAudit_('SET_DELEGATION', { delegate, startDate, endDate }, userEmail);
+    return { success: true, delegations: getDelegationsFor_(userEmail) };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Manager Action: removes one of the caller's delegations, by its permanent ID.
+ */
+function apiRemoveDelegation(delegationId) {
+  const userEmail = Session.getActiveUser().getEmail();
+  checkRateLimit_(userEmail, 'remove_delegation');
+  const id = String(delegationId || '').trim();
+  if (!id) throw new Error('Missing delegation ID. Please reload and try again.');
+
+  const lock = LockService.getScriptLock();
+  try { lock.waitLock(10000); } catch (e) { throw new Error('Server busy.'); }
+
+  try {
+    const sh = getDelegationSheet_();
+    const delegation = readDelegations_().find(d => d.id === id);
+    if (!delegation || delegation.manager !== userEmail.toLowerCase()) throw new Error('Delegation not found or permission denied.');
+
+    sh.deleteRow(delegation.row);
+    logAudit_('REMOVE_DELEGATION', { delegationId }, userEmail);
+    return { success: true, delegations: getDelegationsFor_(userEmail) };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/* ==========================================================================
+   REQUEST IDS
+   ========================================================================== */
+
+/**
+ * Finds the current row of a request by its permanent ID.
+ * Must be called while holding the script lock, since Solicitudes is re-sorted on every create.
+ * @throws {Error} If the ID is unknown (deleted, or from an outdated dashboard).
+ */
+function resolveRequestRow_(sheet, requestId) {
+  const id = String(requestId || '').trim();
+  if (!id) throw new Error('Missing request ID. Please reload and try again.');
+
+  const request = requestsRepo_().findById(id);
+  if (request) return request.row;
+  throw new Error('Request not found. It may have been removed, or your view is out of date. Please reload and try again.');
+}
+
+function hasMissingRequestIds_(sheet) {
+  if (sheet.getLastRow() < 2) return false;
+  return sheet.getRange(2, COL_ID, sheet.getLastRow() - 1, 1).getValues().some(r => !r[0]);
+}
+
+/**
+ * Assigns an ID to every request that predates the ID column.
+ * Runs automatically from getDashboardData when needed; safe to run manually.
+ */
+function backfillRequestIds() {
+  const lock = LockService.getScriptLock();
+  try { lock.waitLock(10000); } catch (e) { console.warn('ID backfill skipped: server busy.'); return 0; }
+
+  try {
+    const sh = _getDb().getSheetByName(SHEET_SOLICITUDES);
+    if (!sh || sh.getLastRow() < 2) return 0;
+    const range = sh.getRange(2, COL_ID, sh.getLastRow() - 1, 1);
+    const ids = range.getValues();
+    let assigned = 0;
+    ids.forEach(r => {
+      if (!r[0]) { r[0] = Utilities.getUuid(); assigned++; }
+    });
+    if (assigned) {
+      range.setValues(ids);
+      logAudit_('BACKFILL_REQUEST_IDS', { assigned }, 'system');
+    }
+    return assigned;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/* ==========================================================================
+   REQUEST STATE & CONCURRENCY
+   ========================================================================== */
+
+/**
+ * @throws {Error} If STATE_TRANSITIONS does not allow moving from one status to the other.
+ */
+function assertTransition_(from, to) {
+  const current = String(from || ESTADO_PENDIENTE);
+  const allowed = STATE_TRANSITIONS[current];
+  if (!allowed) throw new Error(`Unknown request status: ${current}`);
+  if (!allowed.includes(to)) throw new Error(`Cannot change a request from "${current}" to "${to}".`);
+}
+
+function isApprovedState_(estado) {
+  return APPROVED_STATES.includes(String(estado));
+}
+
+/**
+ * Rejects writes based on an outdated view. The version comes from getDashboardData;
+ * callers that don't send one (scripts, triggers) skip the check.
+ * @throws {Error} If the row changed since the caller read it.
+ */
+function assertVersion_(sheet, row, expectedVersion) {
+  if (expectedVersion === undefined || expectedVersion === null || expectedVersion === '') return;
+  const current = Number(sheet.getRange(row, COL_VERSION).getValue()) || 0;
+  if (current !== Number(expectedVersion)) {
+    throw new Error('This request was changed by someone else. Please reload and try again.');
+  }
+}
+
+function bumpVersion_(sheet, row) {
+  const next = (Number(requestsRepo_().findByRow(row).version) || 0) + 1;
+  requestsRepo_().update(row, { version: next });
+  return next;
+}
+
+/**
+ * Date rules shared by create and edit: no past dates, minimum notice,
+ * no overlap with the employee's other requests and no hard blackouts.
+ * @param {number} excludeRow Row being edited (-1 when creating).
+ */
+function validateRequestDates_(empleado, startObj, endObj, halves, excludeRow) {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  
+  // Validation: Past dates
+  if (startObj < today) throw new Error('Cannot request vacation for past dates.');
+  
+  // Validation: Minimum Advance Notice
+  if (ENFORCE_MIN_ADVANCE_DAYS && MIN_ADVANCE_DAYS > 0) {
+    const minAdvanceMs = MIN_ADVANCE_DAYS * 24 * 60 * 60 * 1000;
+    if (startObj.getTime() - today.getTime() < minAdvanceMs) {
+      throw new Error(`Requests must be made at least ${MIN_ADVANCE_DAYS} days in advance.`);
+    }
+  }
+
+  // Validation: Overlap
+  const conflict = hasOverlapPendingOrApprovedSameEmployee_(empleado, startObj, endObj, excludeRow, halves);
+  if (conflict) throw new Error('You already have a request for these dates.');
+
+  // Validation: Blackout periods (hard blocks)
+  assertNotBlackedOut_(empleado, startObj, endObj);
+}
+
+/* ==========================================================================
+   BUSINESS LOGIC & CORE FUNCTIONS
+   ========================================================================== */
+
+/**
+ * Core processing logic for a request.
+ * Checks for conflicts (Team & Self), calculates business days, and updates status/notifications.
+ */
+function processRequestRow_(sheet, row) {
+  let userNotified = { success: false, error: null };
+  let managersNotified = { success: false, error: null };
+  
+  try {
+    const estadoCell = sheet.getRange(row, 6);
+    if (!estadoCell.getValue()) estadoCell.setValue('Pendiente');
+
+    const email    = sheet.getRange(row, 2).getValue();
+    const empleado = sheet.getRange(row, 3).getValue();
+    const ini      = sheet.getRange(row, 4).getValue();
+    const fin      = sheet.getRange(row, 5).getValue();
+    const halves   = readHalfDay_(sheet, row);
+    const tipo     = normalizeLeaveType_(sheet.getRange(row, COL_TIPO).getValue());
+    const team     = getEmployeeTeam_(String(empleado || '').trim()) || '—';
+    const links    = createActionLinks_(sheet.getRange(row, COL_ID).getValue(), sheet.getRange(row, COL_VERSION).getValue());
+
+    // Validate Data
+    const isValid = empleado && ini && fin && normalizeDate_(fin) >= normalizeDate_(ini);
+    if (!isValid) {
+      estadoCell.setNote('Invalid Data');
+      return { userNotified, managersNotified };
+    }
+
+    // Calculate Days
+    const dias = countRequestDays_(ini, fin, getHolidaySetFor_(empleado, ini, fin), halves.start, halves.end);
+    sheet.getRange(row, 7).setValue(dias);
+    const periodo = fmtPeriod_(ini, fin, halves.start, halves.end);
+
+    // Conflict Checks
+    const coverage = checkTeamCoverage_(empleado, ini, fin, row, halves);
+    const selfOverlap = hasOverlapPendingOrApprovedSameEmployee_(empleado, ini, fin, row, halves);
+    const blackoutWarn = findBlackouts_(team, ini, fin).filter(b => !b.bloqueo)[0];
+    const blackoutText = blackoutWarn ? `Blackout period: ${blackoutWarn.motivo || 'no reason given'} (${fmtDate_(parseDateToNoon_(blackoutWarn.inicio))} - ${fmtDate_(parseDateToNoon_(blackoutWarn.fin))})` : '';
+
+    let conflict = 'conflictNone';
+    if (coverage) conflict = 'conflictCoverage';
+    else if (selfOverlap) conflict = 'conflictDuplicate';
+    else if (blackoutWarn) conflict = 'conflictBlackout';
+
+    // Employee names, reasons and labels are escaped by fillTemplate_
+    const vars = lang => ({
+      solicitudId: sheet.getRange(row, COL_ID).getValue(),
+      empleado, equipo: team, tipo: leaveTypeLabel_(tipo, lang), periodo, dias, conflicto: chatText_(lang, conflict),
+      bloqueoMotivo: blackoutWarn ? blackoutWarn.motivo : '',
+      bloqueoPeriodo: blackoutWarn ? `${fmtDate_(parseDateToNoon_(blackoutWarn.inicio))} - ${fmtDate_(parseDateToNoon_(blackoutWarn.fin))}` : ''
+    });
+    const approverVars = lang => Object.assign(vars(lang), { acciones: rawHtml_(actionButtonsHtml_(links, lang)) });
+    let managerTemplate = '';
+    let managerVars = approverVars;
+
+    if (coverage) {
+      estadoCell.setValue('Necesita Revisión');
+      estadoCell.setNote(coverageNote_(coverage) + (blackoutText ? `\n⚠️ ${blackoutText}` : ''));
+      
+      // Notify User
+      if (email) {
+        userNotified = sendTemplate_(email, 'request_review_coverage', lang => Object.assign(vars(lang), {
+          diasConflicto: coverage.breaches.length, personas: coverageNames_(coverage).join(', ')
+        }));
+      }
+      
+      // Prepare Manager Notification
+      managerTemplate = 'conflict_coverage';
+      managerVars = lang => Object.assign(approverVars(lang), { limite: coverage.limit, detalle: rawHtml_(coverageDetailHtml_(coverage, lang)) });
+      
+    } else if (selfOverlap) {
+        // Similar logic for self-overlap...
+        estadoCell.setValue('Necesita Revisión');
+        estadoCell.setNote('⚠️ Duplicate Request');
+    } else if (blackoutWarn) {
+      // Warn-only blackout: let the manager decide
+      estadoCell.setValue('Necesita Revisión');
+      estadoCell.setNote(`⚠️ ${blackoutText}`);
+
+      if (email) userNotified = sendTemplate_(email, 'request_review_blackout', vars);
+      managerTemplate = 'conflict_blackout';
+    } else {
+      // No Conflicts - Clean Request
+      managerTemplate = 'new_request';
+      if (email) userNotified = sendTemplate_(email, 'request_received', vars);
+    }
+
+    if (managerTemplate) {
+      managersNotified = notifyApprovers_(getApprovalState_(sheet, row).approvers, managerTemplate, managerVars);
+    }
+
+    recalcEmpleados_();
+    sortSolicitudesByFechaInicio_();
+
+  } catch (e) {
+    console.error("Error processing row " + row, e);
+  }
+  
+  return { userNotified, managersNotified };
+}
+
+/* ==========================================================================
+   PUBLIC HOLIDAYS
+   ========================================================================== */
+
+/**
+ * Reads the holiday calendar from the Feriados sheet.
+ * Expected columns: Fecha | Nombre | Ámbito | Recurrente
+ * - Ámbito: empty or 'Todos' for company-wide, otherwise a country or team name.
+ * - Recurrente: 'Sí' repeats the same day and month every year.
+ * @return {Array<{fecha: string, nombre: string, ambito: string, recurrente: boolean}>}
+ */
+function getHolidays_() {
+  const cache = CacheService.getScriptCache();
+  const cached = cache.get('holidays');
+  if (cached) return JSON.parse(cached);
+
+  const ss = _getDb();
+  const sh = ss.getSheetByName(SHEET_FERIADOS);
+  if (!sh || sh.getLastRow() < 2) return [];
+
+  const vals = sh.getRange(2, 1, sh.getLastRow() - 1, 4).getValues();
+  const holidays = [];
+  vals.forEach(r => {
+    if (!r[0]) return;
+    const fecha = parseDateToNoon_(r[0]);
+    if (!fecha || isNaN(fecha.getTime())) return;
+    holidays.push({
+      fecha: dateKey_(fecha),
+      nombre: String(r[1] || '').trim(),
+      ambito: String(r[2] || '').trim(),
+      recurrente: isTruthyCell_(r[3])
+    });
+  });
+
+  cache.put('holidays', JSON.stringify(holidays), CACHE_DURATION);
+  return holidays;
+}
+
+/**
+ * Run from the editor after editing Feriados: drops the cached holiday list so the change applies
+ * at once instead of within CACHE_DURATION, and recounts pending and not-yet-started requests.
+ */
+function refreshHolidays() {
+  const lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(30000);
+    CacheService.getScriptCache().remove('holidays');
+    recalcEmpleados_();
+    const result = { holidays: getHolidays_().length };
+    logAudit_('REFRESH_HOLIDAYS', result, 'system');
+    return result;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function holidayAppliesTo_(holiday, team, country) {
+  const scope = String(holiday.ambito || '').toLowerCase();
+  if (!scope || scope === 'todos') return true;
+  return scope === String(team || '').trim().toLowerCase() || scope === String(country || '').trim().toLowerCase();
+}
+
+/**
+ * Expands recurring entries into concrete dates for every year in [fromYear, toYear].
+ */
+function expandHolidays_(holidays, fromYear, toYear) {
+  const out = [];
+  holidays.forEach(h => {
+    if (!h.recurrente) { out.push(h); return; }
+    const monthDay = h.fecha.substring(5);
+    for (let y = fromYear; y <= toYear; y++) {
+      out.push({ fecha: `${y}-${monthDay}`, nombre: h.nombre, ambito: h.ambito, recurrente: true });
+    }
+  });
+  return out;
+}
+
+/**
+ * Builds the set of holiday keys (yyyy-MM-dd) that apply to a team/country between two dates.
+ */
+function holidayKeysFor_(holidays, team, country, start, end) {
+  const keys = new Set();
+  if (!start || !end) return keys;
+  const fromYear = normalizeDate_(start).getFullYear();
+  const toYear = normalizeDate_(end).getFullYear();
+  expandHolidays_(holidays, fromYear, toYear).forEach(h => {
+    if (holidayAppliesTo_(h, team, country)) keys.add(h.fecha);
+  });
+  return keys;
+}
+
+function getHolidaySetFor_(empleadoOrEmail, start, end) {
+  const team = getEmployeeTeam_(empleadoOrEmail);
+  const country = getEmployeeCountry_(empleadoOrEmail);
+  return holidayKeysFor_(getHolidays_(), team, country, start, end);
+}
+
+function getEmployeeCountry_(empleado) {
+  const ss = _getDb();
+  const sh = ss.getSheetByName(SHEET_EMPLEADOS);
+  if (!sh) return '';
+  const data = sh.getDataRange().getValues();
+  const countryIdx = findHeaderIndex_(data[0] || [], ['País', 'Pais', 'Country']);
+  if (countryIdx < 0) return '';
+  const search = String(empleado || '').trim().toLowerCase();
+  for (let i = 1; i < data.length; i++) {
+    const name = String(data[i][0]).trim().toLowerCase();
+    const email = String(data[i][1]).trim().toLowerCase();
+    if (name === search || email === search) return String(data[i][countryIdx] || '').trim();
+  }
+  return '';
+}
+
+/* ==========================================================================
+   BLACKOUT PERIODS
+   ========================================================================== */
+
+/**
+ * Reads blackout periods from the Blackout sheet.
+ * Expected columns: Inicio | Fin | Equipo | Motivo | Modo
+ * - Equipo: empty or 'Todos' for company-wide, otherwise a team name.
+ * - Modo: 'Aviso' only flags the request for review; anything else ('Bloqueo') rejects it.
+ * @return {Array<{inicio: string, fin: string, equipo: string, motivo: string, bloqueo: boolean}>}
+ */
+function getBlackouts_() {
+  const cache = CacheService.getScriptCache();
+  const cached = cache.get('blackouts');
+  if (cached) return JSON.parse(cached);
+
+  const ss = _getDb();
+  const sh = ss.getSheetByName(SHEET_BLACKOUT);
+  if (!sh || sh.getLastRow() < 2) return [];
+
+  const vals = sh.getRange(2, 1, sh.getLastRow() - 1, 5).getValues();
+  const blackouts = [];
+  vals.forEach(r => {
+    if (!r[0]) return;
+    const inicio = parseDateToNoon_(r[0]);
+    const fin = parseDateToNoon_(r[1] || r[0]);
+    if (isNaN(inicio.getTime()) || isNaN(fin.getTime())) return;
+    const modo = String(r[4] || '').trim().toLowerCase();
+    blackouts.push({
+      inicio: dateKey_(inicio),
+      fin: dateKey_(fin),
+      equipo: String(r[2] || '').trim(),
+      motivo: String(r[3] || '').trim(),
+      bloqueo: !['aviso', 'advertencia', 'warn', 'warning'].includes(modo)
+    });
+  });
+
+  cache.put('blackouts', JSON.stringify(blackouts), CACHE_DURATION);
+  return blackouts;
+}
+
+function blackoutAppliesTo_(blackout, team) {
+  const scope = String(blackout.equipo || '').toLowerCase();
+  return !scope || scope === 'todos' || scope === String(team || '').trim().toLowerCase();
+}
+
+/**
+ * Returns the blackout periods for a team that overlap [start, end].
+ */
+function findBlackouts_(team, start, end) {
+  const s = dateKey_(start);
+  const e = dateKey_(end);
+  return getBlackouts_().filter(b => blackoutAppliesTo_(b, team) && s <= b.fin && b.inicio <= e);
+}
+
+/**
+ * @throws {Error} If the dates hit a hard-block blackout for the employee's team.
+ */
+function assertNotBlackedOut_(empleado, start, end) {
+  const hard = findBlackouts_(getEmployeeTeam_(empleado), start, end).filter(b => b.bloqueo)[0];
+  if (hard) {
+    throw new Error(`These dates fall within a blackout period (${fmtDate_(parseDateToNoon_(hard.inicio))} - ${fmtDate_(parseDateToNoon_(hard.fin))})${hard.motivo ? ': ' + hard.motivo : ''}. Please choose other dates.`);
+  }
+}
+
+/* ==========================================================================
+   TEAM COVERAGE
+   ========================================================================== */
+
+/**
+ * Reads per-team settings from the Equipos sheet, keyed by lower-case team name.
+ * Columns are looked up by header, e.g. Equipo | MaxAusentes | MinPresentes.
+ * - MaxAusentes: maximum people out on the same day.
+ * - MinPresentes: minimum people present out of the team roster.
+ */
+function getTeamsConfig_() {
+  const cache = CacheService.getScriptCache();
+  const cached = cache.get('teams_config');
+  if (cached) return JSON.parse(cached);
+
+  const ss = _getDb();
+  const sh = ss.getSheetByName(SHEET_EQUIPOS);
+  if (!sh || sh.getLastRow() < 2) return {};
+
+  const data = sh.getDataRange().getValues();
+  const headers = data[0].map(h => String(h || '').trim());
+  const config = {};
+  for (let i = 1; i < data.length; i++) {
+    const team = String(data[i][0] || '').trim();
+    if (!team) continue;
+    const entry = {};
+    headers.forEach((h, idx) => { if (h) entry[h] = data[i][idx]; });
+    config[team.toLowerCase()] = entry;
+  }
+
+  cache.put('teams_config', JSON.stringify(config), CACHE_DURATION);
+  return config;
+}
+
+function getTeamConfig_(team) {
+  return getTeamsConfig_()[String(team || '').trim().toLowerCase()] || {};
+}
+
+/**
+ * Maximum number of people from a team that may be out on the same day.
+ * When both limits are configured the stricter one wins.
+ */
+function getTeamCapacity_(team, roster) {
+  const cfg = getTeamConfig_(team);
+  const maxAusentes = Number(cfg.MaxAusentes) || 0;
+  const minPresentes = Number(cfg.MinPresentes) || 0;
+  const limits = [];
+  if (maxAusentes > 0) limits.push(maxAusentes);
+  if (minPresentes > 0) limits.push(Math.max(roster - minPresentes, 0));
+  return limits.length ? Math.min(...limits) : DEFAULT_TEAM_MAX_OUT;
+}
+
+/**
+ * Computes the team headcount out of office day by day (per half day) for a request
+ * and reports the days where the team's capacity would be exceeded.
+ * @return {{team: string, limit: number, breaches: Array<{date: string, out: number, empleados: string[]}>}|null}
+ */
+function checkTeamCoverage_(empleado, start, end, currentRow, halves) {
+  const team = getEmployeeTeam_(empleado);
+  if (!team) return null;
+
+  const ss = _getDb();
+  const dataE = ss.getSheetByName(SHEET_EMPLEADOS).getDataRange().getValues();
+  const teamOf = {};
+  let roster = 0;
+  for (let j = 1; j < dataE.length; j++) {
+    const name = String(dataE[j][0] || '').trim();
+    if (!name) continue;
+    teamOf[name] = dataE[j][2];
+    if (dataE[j][2] === team) roster++;
+  }
+  const limit = getTeamCapacity_(team, roster);
+
+  // Other team members' active requests
+  const vals = ss.getSheetByName(SHEET_SOLICITUDES).getDataRange().getValues();
+  const others = [];
+  for (let r = 1; r < vals.length; r++) {
+    if (r + 1 === currentRow) continue;
+    const est = String(vals[r][5] || '');
+    if (est !== 'Pendiente' && !isApprovedState_(est)) continue;
+    const emp2 = String(vals[r][2] || '').trim();
+    if (!emp2 || emp2 === empleado || teamOf[emp2] !== team) continue;
+    others.push({ empleado: emp2, span: halfDaySpan_(vals[r][3], vals[r][4], vals[r][COL_MEDIO_INICIO - 1], vals[r][COL_MEDIO_FIN - 1]) });
+  }
+  if (!others.length) return null;
+
+  const HALF = 12 * 60 * 60 * 1000;
+  const h0 = halves || {};
+  const span0 = halfDaySpan_(start, end, h0.start, h0.end);
+  const holidays = getHolidaySetFor_(empleado, start, end);
+  const breaches = [];
+
+  for (let cur = normalizeDate_(start); cur <= normalizeDate_(end); cur.setDate(cur.getDate() + 1)) {
+    if (!countBusinessDays_(cur, cur, holidays)) continue;
+    let worst = [];
+    [0, HALF].forEach(offset => {
+      const from = cur.getTime() + offset;
+      const to = from + HALF - 1;
+      if (span0.to < from || to < span0.from) return; // Requester not out in this half
+      const names = new Set(others.filter(o => o.span.from <= to && from <= o.span.to).map(o => o.empleado));
+      if (names.size > worst.length) worst = Array.from(names);
+    });
+    if (worst.length + 1 > limit) {
+      breaches.push({ date: dateKey_(cur), out: worst.length + 1, empleados: worst });
+    }
+  }
+
+  return breaches.length ? { team, limit, breaches } : null;
+}
+
+function coverageNames_(coverage) {
+  const names = new Set();
+  coverage.breaches.forEach(b => b.empleados.forEach(n => names.add(n)));
+  return Array.from(names);
+}
+
+function coverageNote_(coverage) {
+  const MAX_DAYS = 10;
+  const lines = coverage.breaches.slice(0, MAX_DAYS).map(b =>
+    `${fmtDate_(parseDateToNoon_(b.date))}: ${b.out} out (${b.empleados.join(', ')})`);
+  if (coverage.breaches.length > MAX_DAYS) lines.push(`+${coverage.breaches.length - MAX_DAYS} more days`);
+  return `⚠️ Coverage limit (${coverage.limit}) exceeded on ${coverage.breaches.length} day(s):\n` + lines.join('\n');
+}
+
+function coverageDetailHtml_(coverage, lang) {
+  const rows = coverage.breaches.map(b =>
+    `<tr><td style="padding: 4px 12px 4px 0;">${fmtDate_(parseDateToNoon_(b.date))}</td>` +
+    `<td style="padding: 4px 12px 4px 0;"><strong>${b.out}</strong> / ${coverage.limit}</td>` +
+    `<td style="padding: 4px 0;">${escapeHtml_(b.empleados.join(', '))}</td></tr>`).join('');
+  return `<table cellpadding="0" cellspacing="0" style="font-size: 14px; margin: 12px 0;">
+      <tr style="color: #86868b; text-align: left;"><th style="padding-right: 12px;">${emailText_(lang, 'day')}</th><th style="padding-right: 12px;">${emailText_(lang, 'out')}</th><th>${emailText_(lang, 'alsoOut')}</th></tr>
+      ${rows}
+    </table>`;
+}
+
+/* ==========================================================================
+   APPROVAL CHAIN
+   ========================================================================== */
+
+/**
+ * Approvers per step for a team, read from the Equipos sheet:
+ * - Aprobador: step 1 (comma-separated emails). Teams without one fall back to Notificar Solicitudes.
+ * - Aprobador2: optional step 2, e.g. the department head.
+ * - Aprobador2Desde: step 2 only applies to requests longer than this many days (empty = always).
+ * @return {string[][]} Lower-case approver emails, one array per step.
+ */
+function getApprovalChain_(team, dias) {
+  const cfg = getTeamConfig_(team);
+  const first = parseEmailList_(cfg['Aprobador']);
+  const chain = [first.length ? first : getManagerEmails_().map(e => e.toLowerCase())];
+
+  const second = parseEmailList_(cfg['Aprobador2']);
+  const threshold = Number(cfg['Aprobador2Desde']) || 0;
+  if (second.length && dias > threshold) chain.push(second);
+  return chain;
+}
+
+/**
+ * Current position of a request in its approval chain.
+ * @return {{chain: string[][], step: number, approvers: string[], history: Object[]}}
+ */
+function getApprovalState_(sheet, row) {
+  const empleado = sheet.getRange(row, 3).getValue();
+  const dias = Number(sheet.getRange(row, 7).getValue()) || 0;
+  const chain = getApprovalChain_(getEmployeeTeam_(String(empleado || '').trim()), dias);
+  const step = Math.min(Number(sheet.getRange(row, COL_PASO).getValue()) || 1, chain.length);
+  const history = readApprovals_(sheet.getRange(row, COL_APROBACIONES).getValue());
+  return { chain, step, approvers: chain[step - 1], history };
+}
+
+/**
+ * Throws unless userEmail may decide the current step.
+ * @return {string|null} The approver being stood in for when acting as a delegate.
+ */
+function assertStepApprover_(approval, userEmail) {
+  if (approval.approvers.includes(String(userEmail || '').toLowerCase())) return null;
+  const onBehalfOf = findDelegatorFor_(userEmail, approval.approvers, new Date());
+  if (!onBehalfOf) {
+    throw new Error(`Unauthorized: This request is waiting on step ${approval.step} of ${approval.chain.length} (${approval.approvers.join(', ')}).`);
+  }
+  return onBehalfOf;
+}
+
+function recordApprovalStep_(sheet, row, approval, userEmail, decision, onBehalfOf, reason) {
+  const entry = { step: approval.step, by: userEmail, decision, at: new Date().toISOString() };
+  if (onBehalfOf) entry.onBehalfOf = onBehalfOf;
+  if (reason) entry.reason = reason;
+  const history = approval.history.concat([entry]);
+  sheet.getRange(row, COL_APROBACIONES).setValue(JSON.stringify(history));
+}
+
+function readApprovals_(value) {
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * True for anyone who can act on at least one team: a step approver in Equipos,
+ * a member of the fallback list in Notificar Solicitudes, or an active delegate.
+ */
+function isApprover_(email) {
+  const key = String(email || '').trim().toLowerCase();
+  if (!key) return false;
+  return isDirectApprover_(key) || getDelegatorsOf_(key, new Date()).length > 0;
+}
+
+function isDirectApprover_(email) {
+  const key = String(email || '').trim().toLowerCase();
+  return getManagerEmails_().some(m => m.toLowerCase() === key) || parseTeamApprovers_().includes(key);
+}
+
+/**
+ * Every step approver named in Equipos (lower-case, unique).
+ */
+function parseTeamApprovers_() {
+  const teams = getTeamsConfig_();
+  const all = [];
+  Object.keys(teams).forEach(t => {
+    parseEmailList_(teams[t]['Aprobador']).concat(parseEmailList_(teams[t]['Aprobador2']))
+      .forEach(e => { if (!all.includes(e)) all.push(e); });
+  });
+  return all;
+}
+
+/**
+ * Emails a template to the approvers of a step, plus the delegates of any approver who is away today.
+ */
+function notifyApprovers_(approvers, template, vars) {
+  if (!approvers || !approvers.length) return { success: false, error: "No approvers found" };
+  return sendTemplate_(withActiveDelegates_(approvers, new Date()), template, vars);
+}
+
+/**
+ * Tells the approvers of the next step that a request is now waiting on them.
+ */
+function notifyStepApprovers_(sheet, row, approvers, step, steps, previousApprover) {
+  const empleado = sheet.getRange(row, 3).getValue();
+  const periodo = fmtPeriod_(sheet.getRange(row, 4).getValue(), sheet.getRange(row, 5).getValue());
+  const dias = sheet.getRange(row, 7).getValue();
+  const tipo = sheet.getRange(row, COL_TIPO).getValue();
+  const team = getEmployeeTeam_(String(empleado || '').trim()) || '—';
+  const requestId = sheet.getRange(row, COL_ID).getValue();
+  const comments = commentsRepo_().forRequest(requestId);
+  const links = createActionLinks_(requestId, sheet.getRange(row, COL_VERSION).getValue());
+
+  return notifyApprovers_(approvers, 'step_approval_needed', lang => ({
+    solicitudId: requestId, empleado, equipo: team, tipo: leaveTypeLabel_(tipo, lang), periodo, dias,
+    paso: step, pasos: steps, pasoAnterior: step - 1, aprobadoPor: previousApprover,
+    comentarios: rawHtml_(commentsHtml_(comments, lang)),
+    acciones: rawHtml_(actionButtonsHtml_(links, lang))
+  }));
+}
+
+function parseEmailList_(value) {
+  return String(value || '').split(/[,;\s]+/).map(e => e.trim().toLowerCase()).filter(e => e.indexOf('@') > -1);
+}
+
+/* ==========================================================================
+   APPROVAL DELEGATION
+   ========================================================================== */
+
+/**
+ * Delegaciones sheet: Manager | Delegado | Inicio | Fin | Creado.
+ * Rows with dates are active for that range. Rows without dates are the manager's
+ * standing delegate, active whenever the manager has approved leave.
+ */
+const DELEGATION_HEADERS = ['Manager', 'Delegado', 'Inicio', 'Fin', 'Creado', 'ID'];
+
+/**
+ * Delegaciones sheet. Sheets from before the ID column get the header; their rows get IDs
+ * from backfillDelegationIds.
+ */
+function getDelegationSheet_() {
+  const ss = _getDb();
+  let sh = ss.getSheetByName(SHEET_DELEGACIONES);
+  if (!sh) {
+    sh = ss.insertSheet(SHEET_DELEGACIONES);
+    sh.appendRow(DELEGATION_HEADERS);
+    sh.getRange(1, 1, 1, DELEGATION_HEADERS.length).setFontWeight('bold').setBackground('#f0f0f0');
+  } else if (!sh.getRange(1, DELEGATION_HEADERS.length).getValue()) {
+    sh.getRange(1, DELEGATION_HEADERS.length).setValue('ID').setFontWeight('bold').setBackground('#f0f0f0');
+  }
+  return sh;
+}
+
+/**
+ * Assigns an ID to every delegation that predates the ID column.
+ * Runs automatically from getDashboardData when needed; safe to run manually.
+ */
+function backfillDelegationIds() {
+  const lock = LockService.getScriptLock();
+  try { lock.waitLock(10000); } catch (e) { console.warn('Delegation ID backfill skipped: server busy.'); return 0; }
+
+  try {
+    const sh = getDelegationSheet_();
+    if (sh.getLastRow() < 2) return 0;
+    const range = sh.getRange(2, DELEGATION_HEADERS.length, sh.getLastRow() - 1, 1);
+    const ids = range.getValues();
+    let assigned = 0;
+    ids.forEach(r => {
+      if (!r[0]) { r[0] = Utilities.getUuid(); assigned++; }
+    });
+    if (assigned) {
+      range.setValues(ids);
+      logAudit_('BACKFILL_DELEGATION_IDS', { assigned }, 'system');
+    }
+    return assigned;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Every delegation with its current row. Rows move when others are deleted, so API calls
+ * resolve a delegation by id while holding the script lock.
+ */
+function readDelegations_() {
+  const sh = _getDb().getSheetByName(SHEET_DELEGACIONES);
+  if (!sh || sh.getLastRow() < 2) return [];
+  return sh.getRange(2, 1, sh.getLastRow() - 1, DELEGATION_HEADERS.length).getValues().map((r, i) => ({
+    id: String(r[5] || '').trim(),
+    row: i + 2,
+    manager: String(r[0] || '').trim().toLowerCase(),
+    delegado: String(r[1] || '').trim().toLowerCase(),
+    inicio: r[2] ? normalizeDate_(r[2]) : null,
+    fin: r[3] ? normalizeDate_(r[3]) : null
+  })).filter(d => d.manager && d.delegado);
+}
+
+/**
+ * Periods in which a manager's approvals are delegated, with who covers each one.
+ * Approved leave without a standing delegate falls back to the other managers in
+ * Notificar Solicitudes, so a team's only approver never blocks its queue.
+ * @return {{inicio: Date, fin: Date, delegados: string[], auto: boolean}[]}
+ */
+function getDelegationPeriods_(managerEmail, delegations, dataS) {
+  const manager = String(managerEmail || '').trim().toLowerCase();
+  const mine = delegations.filter(d => d.manager === manager);
+  const periods = mine.filter(d => d.inicio).map(d => ({ inicio: d.inicio, fin: d.fin, delegados: [d.delegado], auto: false }));
+
+  const standing = mine.filter(d => !d.inicio).map(d => d.delegado);
+  const fallback = getManagerEmails_().map(e => e.toLowerCase()).filter(e => e !== manager);
+  for (let i = 1; i < dataS.length; i++) {
+    if (String(dataS[i][1] || '').trim().toLowerCase() !== manager) continue;
+    if (!isApprovedState_(dataS[i][5])) continue;
+    periods.push({
+      inicio: normalizeDate_(dataS[i][3]),
+      fin: normalizeDate_(dataS[i][4]),
+      delegados: standing.length ? standing : fallback,
+      auto: true
+    });
+  }
+  return periods;
+}
+
+function readSolicitudes_() {
+  const sh = _getDb().getSheetByName(SHEET_SOLICITUDES);
+  return sh ? sh.getDataRange().getValues() : [];
+}
+
+/**
+ * Managers whose approvals the given user may act on at this date.
+ */
+function getDelegatorsOf_(email, date) {
+  const key = String(email || '').trim().toLowerCase();
+  const delegations = readDelegations_();
+  const day = normalizeDate_(date);
+  const candidates = {};
+  delegations.filter(d => d.delegado === key).forEach(d => { candidates[d.manager] = true; });
+  // Fallback coverage: global managers may stand in for any approver on leave
+  if (getManagerEmails_().some(m => m.toLowerCase() === key)) {
+    parseTeamApprovers_().forEach(a => { if (a !== key) candidates[a] = true; });
+  }
+  const managers = Object.keys(candidates);
+  if (!managers.length) return [];
+
+  const dataS = readSolicitudes_();
+  return managers.filter(m => getDelegationPeriods_(m, delegations, dataS)
+    .some(p => p.delegados.includes(key) && day >= p.inicio && day <= p.fin));
+}
+
+/**
+ * The approver from the list the user is currently standing in for, or null.
+ */
+function findDelegatorFor_(email, approvers, date) {
+  const delegators = getDelegatorsOf_(email, date);
+  return approvers.find(a => delegators.includes(a)) || null;
+}
+
+/**
+ * Adds the active delegates of any approver who is away at the given date.
+ */
+function withActiveDelegates_(approvers, date) {
+  const delegations = readDelegations_();
+  const dataS = readSolicitudes_();
+  const day = normalizeDate_(date);
+  const out = approvers.slice();
+  approvers.forEach(a => {
+    getDelegationPeriods_(a, delegations, dataS)
+      .filter(p => day >= p.inicio && day <= p.fin)
+      .forEach(p => p.delegados.forEach(d => { if (!out.includes(d)) out.push(d); }));
+  });
+  return out;
+}
+
+/**
+ * Delegations shown on the manager dashboard (explicit rows only).
+ * @param {boolean=} backfill - Assign missing IDs first (see backfillDelegationIds); only outside the script lock.
+ */
+function getDelegationsFor_(email, backfill) {
+  const key = String(email || '').trim().toLowerCase();
+  if (backfill && readDelegations_().some(d => d.manager === key && !d.id)) backfillDelegationIds();
+  return readDelegations_().filter(d => d.manager === key).map(d => ({
+    id: d.id,
+    delegate: d.delegado,
+    start: d.inicio ? _safeDate(d.inicio) : null,
+    end: d.fin ? _safeDate(d.fin) : null
+  }));
+}
+
+/**
+ * Emails each manager, on the first day back, the decisions delegates made for them.
+ * Runs from the daily reminder job and shares its duplicate log.
+ */
+function sendDelegationSummaries_(data, today, sent, markSent) {
+  const delegations = readDelegations_();
+  const managers = {};
+  delegations.forEach(d => { managers[d.manager] = true; });
+  parseTeamApprovers_().concat(getManagerEmails_().map(e => e.toLowerCase())).forEach(m => { managers[m] = true; });
+
+  const yesterday = normalizeDate_(new Date(today.getTime() - 86400000));
+  let count = 0;
+
+  Object.keys(managers).forEach(manager => {
+    const periods = getDelegationPeriods_(manager, delegations, data);
+    // Still away today (another period continues): wait until they are back
+    if (periods.some(p => today >= p.inicio && today <= p.fin)) return;
+
+    periods.filter(p => p.fin.getTime() === yesterday.getTime()).forEach(p => {
+      const key = `delegation|${manager}|${dateKey_(p.inicio)}|${dateKey_(p.fin)}`;
+      if (sent.has(key)) return;
+
+      const decisions = [];
+      for (let i = 1; i < data.length; i++) {
+        readApprovals_(data[i][COL_APROBACIONES - 1]).forEach(a => {
+          const at = new Date(a.at);
+          if (a.onBehalfOf === manager && normalizeDate_(at) >= p.inicio && normalizeDate_(at) <= p.fin) {
+            decisions.push({ empleado: data[i][2], periodo: fmtPeriod_(data[i][3], data[i][4]), decision: a.decision, by: a.by, step: a.step });
+          }
+        });
+      }
+
+      const res = sendTemplate_(manager, 'delegation_summary', lang => ({
+        cantidad: decisions.length,
+        periodo: fmtPeriod_(p.inicio, p.fin),
+        decisiones: rawHtml_(decisions.length ? '<ul>' + decisions.map(d =>
+          `<li><strong>${escapeHtml_(d.empleado)}</strong> · ${d.periodo} · ${escapeHtml_(statusLabel_(d.decision, lang))} ${emailText_(lang, 'by')} ${escapeHtml_(d.by)}</li>`).join('') + '</ul>' : '')
+      }));
+      if (!res.success) return;
+      markSent(key, manager);
+      count++;
+    });
+  });
+  return count;
+}
+
+/* ==========================================================================
+   COMMENTS & DECISION REASONS
+   ========================================================================== */
+
+/**
+ * Validates the reason given with a manager decision.
+ * @return {string} Trimmed reason ('' when none was given and none is required).
+ */
+function normalizeReason_(action, reason) {
+  const text = normalizeCommentText_(reason);
+  if (!text && REASON_REQUIRED_DECISIONS.includes(action)) {
+    throw new Error(`A reason is required to mark a request as "${action}".`);
+  }
+  return text;
+}
+
+function normalizeCommentText_(text) {
+  const value = String(text || '').trim();
+  if (value.length > COMMENT_MAX_LENGTH) throw new Error(`Comments are limited to ${COMMENT_MAX_LENGTH} characters.`);
+  return value;
+}
+
+/**
+ * Who may read and comment on a request: its owner and anyone who may manage it.
+ */
+function canViewRequest_(request, email) {
+  const key = String(email || '').trim().toLowerCase();
+  if (!request || !key) return false;
+  return String(request.email).trim().toLowerCase() === key || canManageRequest_(request, key);
+}
+
+/**
+ * Who may act on a request outside its approval steps (e.g. confirm a cancellation): the admin managers,
+ * anyone in its approval chain or who decided on it, and their active delegates.
+ */
+function canManageRequest_(request, email) {
+  const key = String(email || '').trim().toLowerCase();
+  if (!request || !key) return false;
+  if (getManagerEmails_().some(m => m.toLowerCase() === key)) return true;
+
+  const chain = getApprovalChain_(getEmployeeTeam_(String(request.empleado || '').trim()), Number(request.dias) || 0);
+  const approvers = [].concat.apply([], chain);
+  readApprovals_(request.aprobaciones).forEach(a => approvers.push(String(a.by).toLowerCase()));
+  return approvers.includes(key) || !!findDelegatorFor_(key, approvers, new Date());
+}
+
+/**
+ * Emails a new comment to the other side: the approvers of the current step (or, once decided,
+ * whoever decided) when the employee writes, the employee otherwise.
+ */
+function notifyComment_(request, comment) {
+  const comments = commentsRepo_().forRequest(request.id);
+  const vars = lang => ({
+    autor: comment.author,
+    empleado: request.empleado,
+    periodo: fmtPeriod_(request.inicio, request.fin, request.medioInicio, request.medioFin),
+    estado: statusLabel_(request.estado, lang),
+    comentarios: rawHtml_(commentsHtml_(comments, lang))
+  });
+
+  if (String(request.email).trim().toLowerCase() !== comment.email.toLowerCase()) {
+    return sendTemplate_(request.email, 'comment_to_employee', vars);
+  }
+
+  let approvers;
+  if (REMINDER_STATES.includes(request.estado)) {
+    const sh = _getDb().getSheetByName(SHEET_SOLICITUDES);
+    approvers = getApprovalState_(sh, request.row).approvers;
+  } else {
+    approvers = [];
+    readApprovals_(request.aprobaciones).forEach(a => {
+      const by = String(a.by).toLowerCase();
+      if (!approvers.includes(by)) approvers.push(by);
+    });
+  }
+  return notifyApprovers_(approvers, 'comment_to_approvers', vars);
+}
+
+/**
+ * Comment thread for emails, oldest first. Decision reasons are labelled with their decision.
+ */
+function commentsHtml_(comments, lang) {
+  if (!comments || !comments.length) return '';
+  const items = comments.map(c => {
+    const label = c.kind === COMMENT_KIND ? '' : ` <span style="color: #86868b;">(${emailText_(lang, 'reasonFor')} ${escapeHtml_(statusLabel_(c.kind, lang))})</span>`;
+    return `<li style="margin-bottom: 8px;"><strong>${escapeHtml_(c.author || c.email)}</strong>${label} · ${fmtDate_(c.at)}<br>${escapeHtml_(c.text)}</li>`;
+  }).join('');
+  return `<h3 style="color: #1d1d1f; font-size: 16px; margin-top: 24px;">${emailText_(lang, 'comments')}</h3><ul style="padding-left: 18px;">${items}</ul>`;
+}
+
+/* ==========================================================================
+   CANCELLATION OF APPROVED LEAVE
+   ========================================================================== */
+
+function readCancellation_(value) {
+  if (!value) return { fin: '', estadoPrevio: ESTADO_APROBADO };
+  try {
+    const parsed = JSON.parse(value);
+    return { fin: parsed.fin || '', estadoPrevio: parsed.estadoPrevio || ESTADO_APROBADO, by: parsed.by, at: parsed.at };
+  } catch (e) {
+    return { fin: '', estadoPrevio: ESTADO_APROBADO };
+  }
+}
+
+/**
+ * Checks a cancellation request against the leave as booked.
+ * @param {Date|null} newEnd Last day to keep, or null to cancel everything not yet taken.
+ */
+function assertCancellableRange_(request, newEnd) {
+  const today = normalizeDate_(new Date());
+  const start = normalizeDate_(request.inicio);
+  const end = normalizeDate_(request.fin);
+  if (end < today) throw new Error('This leave has already ended and can no longer be cancelled.');
+  if (!newEnd) return;
+
+  const last = normalizeDate_(newEnd);
+  if (last < start || last >= end) {
+    throw new Error(`The new end date must be between ${fmtDate_(start)} and the day before ${fmtDate_(end)}.`);
+  }
+  const yesterday = new Date(today.getTime()); yesterday.setDate(yesterday.getDate() - 1);
+  if (last < yesterday) throw new Error(`Days already taken cannot be cancelled. Choose ${fmtDate_(yesterday)} or later.`);
+}
+
+/**
+ * What confirming a cancellation does today. Evaluated at confirmation time, so days taken
+ * while the request waited are kept.
+ * @param {string} requestedEnd 'yyyy-MM-dd' last day to keep, or '' for a full cancellation.
+ * @return {{end: Date|null, keep: boolean}} end: new last day (null voids the request); keep: nothing left to cancel.
+ */
+function resolveCancellationEnd_(request, requestedEnd) {
+  const today = normalizeDate_(new Date());
+  const yesterday = new Date(today.getTime()); yesterday.setDate(yesterday.getDate() - 1);
+  const start = normalizeDate_(request.inicio);
+  const end = normalizeDate_(request.fin);
+
+  let last = requestedEnd ? normalizeDate_(parseDateToNoon_(requestedEnd)) : null;
+  if (start < today && (!last || last < yesterday)) last = yesterday; // Already started: cut short
+  if (last && last >= end) return { end: null, keep: true };
+  return { end: last ? parseDateToNoon_(dateKey_(last)) : null, keep: false };
+}
+
+function notifyCancellationRequested_(request, newEnd) {
+  const chain = getApprovalChain_(getEmployeeTeam_(String(request.empleado || '').trim()), Number(request.dias) || 0);
+  const comments = commentsRepo_().forRequest(request.id);
+
+  return notifyApprovers_(chain[0], 'cancellation_requested', lang => ({
+    empleado: request.empleado,
+    tipo: leaveTypeLabel_(request.tipo, lang),
+    periodo: fmtPeriod_(request.inicio, request.fin, request.medioInicio, request.medioFin),
+    nuevoFin: newEnd ? fmtDate_(newEnd) : '',
+    comentarios: rawHtml_(commentsHtml_(comments, lang))
+  }));
+}
+
+/**
+ * Tells the employee (copying the first-step approvers and whoever decided) how a cancellation ended.
+ */
+function notifyCancellationDecision_(updated, before, outcome, managerEmail) {
+  const chain = getApprovalChain_(getEmployeeTeam_(String(updated.empleado || '').trim()), Number(before.dias) || 0);
+  const cc = withActiveDelegates_(chain[0], new Date()).concat([managerEmail.toLowerCase()])
+    .filter((e, i, all) => all.indexOf(e) === i && e !== String(updated.email).trim().toLowerCase());
+  const comments = commentsRepo_().forRequest(updated.id);
+
+  let template = 'leave_cancelled';
+  if (!outcome) template = 'cancellation_declined';
+  else if (outcome.keep) template = 'cancellation_nothing_left';
+  else if (outcome.end) template = 'leave_shortened';
+
+  return sendTemplate_([updated.email].concat(cc), template, lang => ({
+    tipo: leaveTypeLabel_(updated.tipo, lang),
+    original: fmtPeriod_(before.inicio, before.fin, before.medioInicio, before.medioFin),
+    periodo: fmtPeriod_(updated.inicio, updated.fin, updated.medioInicio, updated.medioFin),
+    dias: updated.dias,
+    comentarios: rawHtml_(commentsHtml_(comments, lang))
+  }));
+}
+
+/* ==========================================================================
+   CALENDAR FEEDS (ICS)
+   ========================================================================== */
+
+/**
+ * Feed URLs: ?feed=ics&token=<token>&scope=me|team|company[&team=<Equipo>].
+ * The token identifies the user (clients cannot sign in), so it is the only secret in the URL.
+ * Tokens live in Script Properties: ics_token:<token> → email and ics_user:<email> → token.
+ */
+function getFeedToken_(email, rotate) {
+  const props = PropertiesService.getScriptProperties();
+  const key = String(email).trim().toLowerCase();
+  const current = props.getProperty(`ics_user:${key}`);
+  if (current && !rotate) return current;
+
+  if (current) props.deleteProperty(`ics_token:${current}`);
+  const token = (Utilities.getUuid() + Utilities.getUuid()).replace(/-/g, '');
+  props.setProperty(`ics_token:${token}`, key);
+  props.setProperty(`ics_user:${key}`, token);
+  return token;
+}
+
+function findFeedUser_(token) {
+  if (!/^[0-9a-f]{64}$/i.test(String(token || ''))) return null;
+  return PropertiesService.getScriptProperties().getProperty(`ics_token:${token}`);
+}
+
+function describeFeeds_(email, token) {
+  const base = `${ScriptApp.getService().getUrl()}?feed=ics&token=${token}`;
+  const feeds = {
+    me: `${base}&scope=me`,
+    team: `${base}&scope=team`
+  };
+  if (isApprover_(email)) {
+    feeds.company = `${base}&scope=company`;
+    const teams = [];
+    employeesRepo_().all().forEach(e => {
+      const team = String(e.equipo || '').trim();
+      if (team && !teams.includes(team)) teams.push(team);
+    });
+    feeds.teams = teams.sort().map(team => ({ team, url: `${base}&scope=team&team=${encodeURIComponent(team)}` }));
+  }
+  return feeds;
+}
+
+/**
+ * doGet handler for ICS feeds. Errors are returned as plain text (web apps cannot set a status code).
+ */
+function serveIcsFeed_(params) {
+  try {
+    const email = findFeedUser_(params.token);
+    if (!email) throw new Error('Invalid or revoked feed token.');
+    const feed = buildFeedEvents_(email, String(params.scope || 'me'), params.team);
+    return ContentService.createTextOutput(buildIcs_(feed.name, feed.events)).setMimeType(ContentService.MimeType.ICAL);
+  } catch (e) {
+    console.warn('ICS feed refused:', e.message);
+    return ContentService.createTextOutput(e.message).setMimeType(ContentService.MimeType.TEXT);
+  }
+}
+
+/**
+ * Requests visible in a feed. The personal feed has every request (pending ones tentative,
+ * rejected and cancelled ones marked cancelled); team and company feeds only booked leave.
+ * Employees may read their own team's feed; approvers any team and the company feed.
+ * @return {{name: string, events: Object[]}}
+ */
+function buildFeedEvents_(email, scope, teamParam) {
+  const employee = employeesRepo_().findByEmail(email);
+  const approver = isApprover_(email);
+  if (!employee && !approver) throw new Error('Invalid or revoked feed token.');
+
+  const teamOf = {};
+  employeesRepo_().all().forEach(e => { teamOf[e.nombre] = String(e.equipo || '').trim().toLowerCase(); });
+  const since = normalizeDate_(new Date(Date.now() - ICS_FEED_PAST_DAYS * 86400000));
+  const requests = requestsRepo_().all().filter(r => r.id && r.inicio && r.fin && normalizeDate_(r.fin) >= since);
+
+  let name, selected;
+  if (scope === 'me') {
+    name = 'My Leave';
+    selected = requests.filter(r => String(r.email).trim().toLowerCase() === email);
+  } else if (scope === 'team') {
+    const team = String(teamParam || (employee && employee.equipo) || '').trim();
+    if (!team) throw new Error('No team given.');
+    const key = team.toLowerCase();
+    if (!approver && key !== String(employee.equipo).trim().toLowerCase()) throw new Error('You can only subscribe to your own team.');
+    name = `Leave - ${team}`;
+    selected = requests.filter(r => isApprovedState_(r.estado) && teamOf[String(r.empleado).trim()] === key);
+  } else if (scope === 'company') {
+    if (!approver) throw new Error('Only managers can subscribe to the company feed.');
+    name = 'Leave - Company';
+    selected = requests.filter(r => isApprovedState_(r.estado));
+  } else {
+    throw new Error(`Unknown feed scope: ${scope}`);
+  }
+
+  return { name, events: selected.map(r => toIcsEvent_(r, scope === 'me')) };
+}
+
+function toIcsEvent_(request, personal) {
+  const tipoLabel = LEAVE_TYPES[normalizeLeaveType_(request.tipo)].label;
+  const halves = { start: String(request.medioInicio || '').toUpperCase(), end: String(request.medioFin || '').toUpperCase() };
+  let status = 'CONFIRMED';
+  if (REMINDER_STATES.includes(request.estado)) status = 'TENTATIVE';
+  else if (!isApprovedState_(request.estado)) status = 'CANCELLED';
+
+  const end = normalizeDate_(request.fin);
+  end.setDate(end.getDate() + 1); // DTEND is exclusive for all-day events
+
+  return {
+    uid: `${request.id}@${ICS_UID_DOMAIN}`,
+    sequence: Number(request.version) || 0,
+    created: request.timestamp ? new Date(request.timestamp) : null,
+    start: normalizeDate_(request.inicio),
+    end,
+    summary: leaveEventTitle_(request.empleado, request.estado, tipoLabel, request.inicio, request.fin, halves) +
+      (personal && status !== 'CONFIRMED' ? ` [${request.estado}]` : ''),
+    status,
+    busy: personal
+  };
+}
+
+/**
+ * RFC 5545 calendar with all-day events. UIDs come from the request ID and SEQUENCE from its
+ * row version, so clients update or drop events in place instead of duplicating them.
+ */
+function buildIcs_(name, events) {
+  const stamp = Utilities.formatDate(new Date(), 'UTC', "yyyyMMdd'T'HHmmss'Z'");
+  const day = d => Utilities.formatDate(d, Session.getScriptTimeZone(), 'yyyyMMdd');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${ICS_UID_DOMAIN}//Leave Feed//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsText_(name)}`,
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+  events.forEach(ev => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${ev.uid}`,
+      `SEQUENCE:${ev.sequence}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${day(ev.start)}`,
+      `DTEND;VALUE=DATE:${day(ev.end)}`,
+      `SUMMARY:${icsText_(ev.summary)}`,
+      `STATUS:${ev.status}`,
+      `TRANSP:${ev.busy ? 'OPAQUE' : 'TRANSPARENT'}`
+    );
+    if (ev.created) lines.push(`CREATED:${Utilities.formatDate(ev.created, 'UTC', "yyyyMMdd'T'HHmmss'Z'")}`);
+    lines.push('END:VEVENT');
+  });
+  lines.push('END:VCALENDAR');
+  return lines.map(icsFold_).join('\r\n') + '\r\n';
+}
+
+function icsText_(value) {
+  return String(value || '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds lines longer than 75 octets (continuation lines start with a space).
+ */
+function icsFold_(line) {
+  const out = [];
+  let current = '';
+  let bytes = 0;
+  for (const ch of line) {
+    const size = encodeURIComponent(ch).replace(/%[0-9A-F]{2}/g, '_').length;
+    if (bytes + size > 75) {
+      out.push(current);
+      current = ' ';
+      bytes = 1;
+    }
+    current += ch;
+    bytes += size;
+  }
+  out.push(current);
+  return out.join('\r\n');
+}
+
+/* ==========================================================================
+   EMAIL ACTION LINKS
+   ========================================================================== */
+
+/**
+ * Approve/Reject buttons in the emails sent to approvers: ?action=decide&t=<token>.
+ * The token is <payload>.<signature>: base64url JSON {r: request ID, d: 'approve' | 'reject',
+ * v: version, x: expiry (ms), n: nonce}, signed with HMAC-SHA256 and the secret in the
+ * action_link_secret Script Property (delete it to revoke every link sent so far).
+ * A link only works while the request is at the version it was sent for, so any change,
+ * including the other button being used, retires it. Used nonces are kept as
+ * action_link_used:<nonce> until they expire.
+ *
+ * The link is not a credential: the clicker must be signed in and be an approver (or active
+ * delegate) of the current step. Opening it only shows a confirmation page, so mail scanners
+ * that prefetch links cannot decide anything; the decision is a form POST (doPost).
+ */
+const ACTION_LINK_DECISIONS = { approve: ESTADO_APROBADO, reject: ESTADO_RECHAZADO };
+
+const ACTION_LINK_STRINGS = {
+  es: {
+    confirmApprove: 'Confirmar aprobación', confirmReject: 'Confirmar rechazo',
+    employee: 'Empleado', type: 'Tipo', period: 'Periodo', days: 'Días hábiles', status: 'Estado', step: 'paso',
+    balance: 'Saldo disponible', onBehalfOf: 'Decides en nombre de {n}.',
+    coverage: 'Se supera el límite de cobertura ({n} personas ausentes a la vez):', noConflicts: 'Sin conflictos de cobertura.',
+    blackout: 'Periodo restringido', note: 'Nota de la solicitud',
+    reasonOptional: 'Comentario (opcional)', reasonRequired: 'Motivo del rechazo (se envía al empleado)',
+    approved: 'Solicitud aprobada', rejected: 'Solicitud rechazada', stepApproved: 'Paso aprobado',
+    approvedBody: 'La solicitud de {n} quedó aprobada y se avisó al empleado.',
+    rejectedBody: 'La solicitud de {n} quedó rechazada y se avisó al empleado.',
+    stepBody: 'Aprobaste tu paso de la solicitud de {n}; ahora espera el paso {p}.',
+    error: 'No se pudo completar la acción', openPortal: 'Abrir el portal'
+  },
+  en: {
+    confirmApprove: 'Confirm Approval', confirmReject: 'Confirm Rejection',
+    employee: 'Employee', type: 'Type', period: 'Period', days: 'Business days', status: 'Status', step: 'step',
+    balance: 'Available balance', onBehalfOf: 'You are deciding on behalf of {n}.',
+    coverage: 'The coverage limit ({n} people out at once) is exceeded:', noConflicts: 'No coverage conflicts.',
+    blackout: 'Blackout period', note: 'Request note',
+    reasonOptional: 'Comment (optional)', reasonRequired: 'Reason for rejecting (sent to the employee)',
+    approved: 'Request Approved', rejected: 'Request Rejected', stepApproved: 'Step Approved',
+    approvedBody: 'The request from {n} is approved and the employee has been notified.',
+    rejectedBody: 'The request from {n} is rejected and the employee has been notified.',
+    stepBody: 'You approved your step of the request from {n}; it now waits on step {p}.',
+    error: 'The action could not be completed', openPortal: 'Open the portal'
+  }
+};
+
+/**
+ * @return {{approve: string, reject: string}|null} Null for requests without an ID (see backfillRequestIds).
+ */
+function createActionLinks_(requestId, version) {
+  const id = String(requestId || '').trim();
+  if (!id) return null;
+  const base = `${ScriptApp.getService().getUrl()}?action=decide&t=`;
+  const expires = Date.now() + ACTION_LINK_TTL_HOURS * 3600000;
+  const links = {};
+  Object.keys(ACTION_LINK_DECISIONS).forEach(d => {
+    const token = signActionToken_({ r: id, d, v: Number(version) || 0, x: expires, n: Utilities.getUuid().replace(/-/g, '') });
+    links[d] = base + encodeURIComponent(token);
+  });
+  return links;
+}
+
+function actionButtonsHtml_(links, lang) {
+  if (!links) return '';
+  const button = (url, label, color) =>
+    `<a href="${escapeHtml_(url)}" style="display: inline-block; background-color: ${color}; color: white; padding: 12px 24px; margin: 0 6px; text-decoration: none; border-radius: 8px;">${label}</a>`;
+  return `<div style="margin-top: 30px; text-align: center;">` +
+      button(links.approve, `✓ ${emailText_(lang, 'approve')}`, '#34c759') +
+      button(links.reject, `✕ ${emailText_(lang, 'reject')}`, '#ff3b30') +
+    `</div><p style="color: #86868b; font-size: 12px; text-align: center;">${emailText_(lang, 'linkHint').replace('{n}', ACTION_LINK_TTL_HOURS)}</p>`;
+}
+
+function signActionToken_(payload) {
+  const body = Utilities.base64EncodeWebSafe(JSON.stringify(payload)).replace(/=+$/, '');
+  return `${body}.${actionTokenSignature_(body)}`;
+}
+
+function actionTokenSignature_(body) {
+  return Utilities.base64EncodeWebSafe(Utilities.computeHmacSha256Signature(body, getActionLinkSecret_())).replace(/=+$/, '');
+}
+
+function getActionLinkSecret_() {
+  const props = PropertiesService.getScriptProperties();
+  let secret = props.getProperty('action_link_secret');
+  if (!secret) {
+    secret = (Utilities.getUuid() + Utilities.getUuid()).replace(/-/g, '');
+    props.setProperty('action_link_secret', secret);
+  }
+  return secret;
+}
+
+/**
+ * @return {{r: string, d: string, v: number, x: number, n: string}}
+ * @throws {Error} If the token is malformed, tampered with, expired or already used.
+ */
+function readActionToken_(token) {
+  const invalid = 'This link is invalid. Please open the request in the portal.';
+  const parts = String(token || '').split('.');
+  if (parts.length !== 2 || !parts[0] || !parts[1]) throw new Error(invalid);
+  if (!constantTimeEquals_(parts[1], actionTokenSignature_(parts[0]))) throw new Error(invalid);
+
+  let payload;
+  try {
+    const padded = parts[0] + '==='.slice((parts[0].length + 3) % 4);
+    payload = JSON.parse(Utilities.newBlob(Utilities.base64DecodeWebSafe(padded)).getDataAsString());
+  } catch (e) {
+    throw new Error(invalid);
+  }
+  if (!payload || !payload.r || !payload.n || !ACTION_LINK_DECISIONS[payload.d]) throw new Error(invalid);
+  if (!(Number(payload.x) > Date.now())) throw new Error('This link has expired. Please open the request in the portal.');
+  if (PropertiesService.getScriptProperties().getProperty(`action_link_used:${payload.n}`)) {
+    throw new Error('This link has already been used.');
+  }
+  return payload;
+}
+
+function constantTimeEquals_(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+/**
+ * Records a used nonce and drops the ones whose link has expired anyway.
+ */
+function markActionTokenUsed_(payload) {
+  const props = PropertiesService.getScriptProperties();
+  const all = props.getProperties();
+  const now = Date.now();
+  Object.keys(all).forEach(k => {
+    if (k.indexOf('action_link_used:') === 0 && Number(all[k]) < now) props.deleteProperty(k);
+  });
+  props.setProperty(`action_link_used:${payload.n}`, String(payload.x));
+}
+
+/**
+ * Request and approval state behind a link, checked against the signed-in user.
+ * Must be called while holding the script lock (see resolveRequestRow_).
+ * @throws {Error} If the request changed since the email was sent, or the user may not decide it.
+ */
+function loadActionLinkRequest_(payload, email) {
+  if (!email) throw new Error('Please sign in with your company account to use this link.');
+  const sh = _getDb().getSheetByName(SHEET_SOLICITUDES);
+  const row = resolveRequestRow_(sh, payload.r);
+  const request = requestsRepo_().findByRow(row);
+  if ((Number(request.version) || 0) !== Number(payload.v)) {
+    throw new Error('This request changed after the email was sent (it may already be decided). Please open it in the portal.');
+  }
+  const approval = getApprovalState_(sh, row);
+  const onBehalfOf = assertStepApprover_(approval, email);
+  return { sh, row, request, approval, onBehalfOf };
+}
+
+/**
+ * doGet handler: shows the request with its live conflicts and a form to confirm the decision.
+ */
+function serveActionLinkPage_(params) {
+  const email = String(Session.getActiveUser().getEmail() || '').trim().toLowerCase();
+  const lang = getEmailLanguages_()[email] || DEFAULT_EMAIL_LANGUAGE;
+  const text = ACTION_LINK_STRINGS[lang];
+  const lock = LockService.getScriptLock();
+  try {
+    try { lock.waitLock(10000); } catch (e) { throw new Error('Server busy. Please try again.'); }
+    const payload = readActionToken_(params.t);
+    const ctx = loadActionLinkRequest_(payload, email);
+    const title = payload.d === 'reject' ? text.confirmReject : text.confirmApprove;
+    return actionLinkPage_(lang, title, actionConfirmHtml_(ctx, payload, params.t, lang));
+  } catch (e) {
+    console.warn('Action link refused:', e.message);
+    return actionLinkPage_(lang, text.error, `<p>${escapeHtml_(e.message)}</p>${portalLinkHtml_(lang)}`);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * doPost handler: applies the confirmed decision through processRequest_, which re-checks
+ * the approver, the status and (with the version from the link) that nothing changed since.
+ */
+function handleActionLinkPost_(params) {
+  const email = String(Session.getActiveUser().getEmail() || '').trim().toLowerCase();
+  const lang = getEmailLanguages_()[email] || DEFAULT_EMAIL_LANGUAGE;
+  const text = ACTION_LINK_STRINGS[lang];
+  try {
+    const payload = readActionToken_(params.t);
+    if (!email) throw new Error('Please sign in with your company account to use this link.');
+    const action = ACTION_LINK_DECISIONS[payload.d];
+    const result = processRequest_(payload.r, action, email, payload.v, params.reason);
+    markActionTokenUsed_(payload);
+    logAudit_('EMAIL_ACTION_LINK', { requestId: payload.r, action, step: result.step, final: result.final }, email);
+
+    const request = requestsRepo_().findById(payload.r);
+    const empleado = escapeHtml_(request ? request.empleado : '');
+    let title, body;
+    if (!result.final) {
+      title = text.stepApproved;
+      body = text.stepBody.replace('{n}', empleado).replace('{p}', result.step);
+    } else if (action === ESTADO_RECHAZADO) {
+      title = text.rejected;
+      body = text.rejectedBody.replace('{n}', empleado);
+    } else {
+      title = text.approved;
+      body = text.approvedBody.replace('{n}', empleado);
+    }
+    return actionLinkPage_(lang, title, `<p>${body}</p>${portalLinkHtml_(lang)}`);
+  } catch (e) {
+    console.warn('Action link refused:', e.message);
+    return actionLinkPage_(lang, text.error, `<p>${escapeHtml_(e.message)}</p>${portalLinkHtml_(lang)}`);
+  }
+}
+
+function actionConfirmHtml_(ctx, payload, token, lang) {
+  const text = ACTION_LINK_STRINGS[lang];
+  const r = ctx.request;
+  const tipo = normalizeLeaveType_(r.tipo);
+  const team = getEmployeeTeam_(String(r.empleado || '').trim()) || '—';
+  const totals = getEmployeeTotals_(r.empleado, tipo);
+  const coverage = checkTeamCoverage_(r.empleado, r.inicio, r.fin, ctx.row, readHalfDay_(ctx.sh, ctx.row));
+  const note = ctx.sh.getRange(ctx.row, 6).getNote();
+  const reject = payload.d === 'reject';
+  const field = (label, value) => `<p><strong>${label}:</strong> ${escapeHtml_(value)}</p>`;
+
+  const form = `<form method="post" action="${escapeHtml_(ScriptApp.getService().getUrl())}" target="_top" style="margin-top: 24px;">
+      <input type="hidden" name="action" value="decide">
+      <input type="hidden" name="t" value="${escapeHtml_(token)}">
+      <label style="display: block; font-weight: 600; margin-bottom: 6px;">${reject ? text.reasonRequired : text.reasonOptional}</label>
+      <textarea name="reason" rows="3" maxlength="${COMMENT_MAX_LENGTH}" ${reject ? 'required' : ''} style="width: 100%; box-sizing: border-box; border: 1px solid #d2d2d7; border-radius: 8px; padding: 8px; font: inherit;"></textarea>
+      <div style="margin-top: 20px; text-align: center;">
+        <button type="submit" style="background-color: ${reject ? '#ff3b30' : '#34c759'}; color: white; border: 0; padding: 12px 24px; border-radius: 8px; font-size: 16px; cursor: pointer;">${reject ? text.confirmReject : text.confirmApprove}</button>
+      </div>
+    </form>`;
+
+  return [
+    field(text.employee, `${r.empleado} (${team})`),
+    field(text.type, leaveTypeLabel_(tipo, lang)),
+    field(text.period, fmtPeriod_(r.inicio, r.fin, r.medioInicio, r.medioFin)),
+    field(text.days, r.dias),
+    field(text.status, `${statusLabel_(r.estado, lang)} · ${text.step} ${ctx.approval.step}/${ctx.approval.chain.length}`),
+    totals.tracked ? field(text.balance, totals.remaining) : '',
+    ctx.onBehalfOf ? `<p style="color: #86868b;">${text.onBehalfOf.replace('{n}', escapeHtml_(ctx.onBehalfOf))}</p>` : '',
+    coverage
+      ? `<p style="color: #ff9500;">⚠️ ${text.coverage.replace('{n}', coverage.limit)}</p>${coverageDetailHtml_(coverage, lang)}`
+      : `<p style="color: #34c759;">✅ ${text.noConflicts}</p>`,
+    findBlackouts_(team, r.inicio, r.fin).map(b =>
+      `<p style="color: #ff9500;">⚠️ ${text.blackout}${b.motivo ? `: ${escapeHtml_(b.motivo)}` : ''} (${fmtDate_(parseDateToNoon_(b.inicio))} - ${fmtDate_(parseDateToNoon_(b.fin))})</p>`).join(''),
+    note ? `<p><strong>${text.note}:</strong></p><p style="white-space: pre-line; color: #86868b;">${escapeHtml_(note)}</p>` : '',
+    commentsHtml_(commentsRepo_().forRequest(r.id), lang),
+    form
+  ].join('');
+}
+
+function portalLinkHtml_(lang) {
+  return `<p style="margin-top: 24px; text-align: center;"><a href="${escapeHtml_(ScriptApp.getService().getUrl())}" target="_top" style="color: #0071e3;">${ACTION_LINK_STRINGS[lang].openPortal}</a></p>`;
+}
+
+/**
+ * Pages are laid out like the emails (createEmailTemplate_), so the links feel like part of them.
+ */
+function actionLinkPage_(lang, title, bodyHtml) {
+  return HtmlService.createHtmlOutput(createEmailTemplate_(escapeHtml_(title), bodyHtml, '', '', lang))
+    .setTitle(title)
+    .addMetaTag('viewport', 'width=device-width, initial-scale=1');
+}
+
+/* ==========================================================================
+   USAGE REPORTS
+   ========================================================================== */
+
+/**
+ * Business days of booked leave (APPROVED_STATES) inside [from, to], per employee.
+ * Days are attributed to the month they fall in, using each employee's holiday calendar.
+ * @return {{summary: Array[], detail: Array[]}} Rows with a header row first.
+ *   summary: one row per employee (months, total, per type, exceptions, current balances);
+ *   detail: one row per employee, month and leave type.
+ */
+function buildUsageReport_(from, to, team) {
+  const dataE = _getDb().getSheetByName(SHEET_EMPLEADOS).getDataRange().getValues();
+  const countryIdx = findHeaderIndex_(dataE[0] || [], ['País', 'Pais', 'Country']);
+  const teamKey = team.toLowerCase();
+  const employees = [];
+  const byName = {};
+  for (let i = 1; i < dataE.length; i++) {
+    const nombre = String(dataE[i][0] || '').trim();
+    if (!nombre || (teamKey && String(dataE[i][2] || '').trim().toLowerCase() !== teamKey)) continue;
+    const emp = {
+      nombre,
+      email: String(dataE[i][1] || '').trim().toLowerCase(),
+      equipo: dataE[i][2],
+      country: countryIdx > -1 ? dataE[i][countryIdx] : '',
+      balances: readLeaveBalances_(dataE[0], dataE[i]),
+      months: {}, byType: {}, detail: {}, total: 0, exceptionDays: 0, exceptionRequests: 0
+    };
+    employees.push(emp);
+    byName[nombre] = emp;
+  }
+
+  const months = [];
+  for (let m = new Date(from.getFullYear(), from.getMonth(), 1); m <= to; m.setMonth(m.getMonth() + 1)) {
+    months.push(dateKey_(m).substring(0, 7));
+  }
+
+  const holidays = getHolidays_();
+  const first = normalizeDate_(from);
+  const last = normalizeDate_(to);
+  requestsRepo_().all().forEach(r => {
+    const emp = byName[String(r.empleado || '').trim()];
+    if (!emp || !isApprovedState_(r.estado) || !r.inicio || !r.fin) return;
+    const start = normalizeDate_(r.inicio);
+    const end = normalizeDate_(r.fin);
+    if (end < first || start > last) return;
+
+    const tipo = normalizeLeaveType_(r.tipo);
+    const keys = holidayKeysFor_(holidays, emp.equipo, emp.country, start, end);
+    let counted = 0;
+    for (let d = new Date(Math.max(start, first)); d <= end && d <= last; d.setDate(d.getDate() + 1)) {
+      const key = dateKey_(d);
+      const days = countRequestDays_(d, d, keys, key === dateKey_(start) ? r.medioInicio : '', key === dateKey_(end) ? r.medioFin : '');
+      if (!days) continue;
+      const month = key.substring(0, 7);
+      const cell = `${month}|${tipo}`;
+      emp.months[month] = (emp.months[month] || 0) + days;
+      emp.byType[tipo] = (emp.byType[tipo] || 0) + days;
+      emp.detail[cell] = emp.detail[cell] || { month, tipo, days: 0, exception: 0 };
+      emp.detail[cell].days += days;
+      if (r.estado === ESTADO_EXCEPCION) emp.detail[cell].exception += days;
+      counted += days;
+    }
+    emp.total += counted;
+    if (r.estado === ESTADO_EXCEPCION && counted) {
+      emp.exceptionDays += counted;
+      emp.exceptionRequests++;
+    }
+  });
+
+  const types = Object.keys(LEAVE_TYPES);
+  const balanceTypes = types.filter(t => LEAVE_TYPES[t].balance);
+  const summary = [['Empleado', 'Email', 'Equipo'].concat(months, ['Total'], types,
+    ['Días excepción', 'Solicitudes excepción'], balanceTypes.map(t => `Saldo actual ${t}`))];
+  const detail = [['Empleado', 'Equipo', 'Mes', 'Tipo', 'Días', 'Días excepción']];
+
+  employees.sort((a, b) => String(a.equipo).localeCompare(String(b.equipo)) || a.nombre.localeCompare(b.nombre)).forEach(emp => {
+    summary.push([emp.nombre, emp.email, emp.equipo]
+      .concat(months.map(m => round2_(emp.months[m] || 0)), [round2_(emp.total)])
+      .concat(types.map(t => round2_(emp.byType[t] || 0)))
+      .concat([round2_(emp.exceptionDays), emp.exceptionRequests])
+      .concat(balanceTypes.map(t => emp.balances[t].tracked ? round2_(emp.balances[t].remaining) : '')));
+    Object.keys(emp.detail).sort().forEach(k => {
+      const d = emp.detail[k];
+      detail.push([emp.nombre, emp.equipo, d.month, d.tipo, round2_(d.days), round2_(d.exception)]);
+    });
+  });
+
+  return { summary, detail };
+}
+
+/**
+ * RFC 4180 CSV. Text that a spreadsheet would run as a formula is prefixed with an apostrophe.
+ */
+function toCsv_(rows) {
+  return rows.map(row => row.map(value => {
+    let text = value instanceof Date ? dateKey_(value) : String(value === null || value === undefined ? '' : value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',')).join('\r\n') + '\r\n';
+}
+
+function writeUsageSpreadsheet_(name, report, ownerEmail) {
+  const ss = getDbService_().create(name);
+  const write = (sheet, rows) => {
+    sheet.getRange(1, 1, rows.length, rows[0].length).setValues(rows);
+    sheet.getRange(1, 1, 1, rows[0].length).setFontWeight('bold').setBackground('#f0f0f0');
+    sheet.setFrozenRows(1);
+  };
+  write(ss.getSheets()[0].setName('Resumen'), report.summary);
+  write(ss.insertSheet('Detalle mensual'), report.detail);
+
+  // The file belongs to whoever the web app runs as
+  try { ss.addEditor(ownerEmail); } catch (e) { console.warn('Could not share report:', e); }
+  return ss.getUrl();
+}
+
+/* ==========================================================================
+   TEAM ANALYTICS
+   ========================================================================== */
+
+/**
+ * One batch read of Solicitudes and Empleados, shared by getDashboardData and getTeamAnalytics.
+ * With withNotes, also reads the Estado cell notes that conflict checks leave (see processRequestRow_).
+ * Employees are keyed by lowercased name and email in empleadoMap and teamMap.
+ */
+function readTrackerSnapshot_(withNotes) {
+  const ss = _getDb();
+  const shSolicitudes = ss.getSheetByName(SHEET_SOLICITUDES);
+  const shEmpleados = ss.getSheetByName(SHEET_EMPLEADOS);
+
+  if (shSolicitudes && hasMissingRequestIds_(shSolicitudes)) backfillRequestIds();
+  const dataSolicitudes = shSolicitudes ? shSolicitudes.getDataRange().getValues() : [];
+  const dataEmpleados = shEmpleados ? shEmpleados.getDataRange().getValues() : [];
+  const estadoNotes = withNotes && dataSolicitudes.length
+    ? shSolicitudes.getRange(1, 6, dataSolicitudes.length, 1).getNotes().map(n => String(n[0] || ''))
+    : [];
+
+  const empleadoMap = {};
+  const teamMap = {};
+  const employees = [];
+  const countryIdx = findHeaderIndex_(dataEmpleados[0] || [], ['País', 'Pais', 'Country']);
+  const hireIdx = findHeaderIndex_(dataEmpleados[0] || [], ['FechaIngreso', 'Fecha Ingreso', 'HireDate']);
+  for (let j = 1; j < dataEmpleados.length; j++) {
+    const name = String(dataEmpleados[j][0]).trim().toLowerCase();
+    const email = String(dataEmpleados[j][1]).trim().toLowerCase();
+    const team = dataEmpleados[j][2];
+    const saldoHR = Number(dataEmpleados[j][3] || 0);
+    const usados = Number(dataEmpleados[j][4] || 0);
+    const country = countryIdx > -1 ? String(dataEmpleados[j][countryIdx] || '').trim() : '';
+    const balances = readLeaveBalances_(dataEmpleados[0], dataEmpleados[j]);
+    const remaining = balances[DEFAULT_LEAVE_TYPE].remaining; // SaldoVacaciones / column F, or SaldoHR - Usados
+    
+    const empData = { team, country, saldoHR, usados, remaining, balances };
+    empleadoMap[name] = empData;
+    empleadoMap[email] = empData;
+    teamMap[name] = team;
+    teamMap[email] = team;
+
+    if (!name) continue;
+    const hire = hireIdx > -1 && dataEmpleados[j][hireIdx] ? parseDateToNoon_(dataEmpleados[j][hireIdx]) : null;
+    employees.push({
+      nombre: String(dataEmpleados[j][0]).trim(), email, team, country, remaining,
+      hire: hire && !isNaN(hire.getTime()) ? hire : null
+    });
+  }
+
+  return { dataSolicitudes, dataEmpleados, estadoNotes, employees, empleadoMap, teamMap };
+}
+
+/**
+ * Computes the getTeamAnalytics payload from a snapshot.
+ * - Utilization: approved business days taken in each month / (headcount x weekdays in the month).
+ * - Lead time: calendar days from submission to the first day of leave.
+ * - Turnaround: hours from submission to the final decision, for approved and rejected requests.
+ * - Conflicts: requests flagged for coverage, duplicates or a blackout when submitted.
+ * Lead time, turnaround and conflicts count requests starting in the given year.
+ * Year-end risk always looks at the current year: remaining vacation plus the accrual still due,
+ * minus open requests, above the carry-over cap.
+ */
+function buildTeamAnalytics_(snapshot, year, team, today) {
+  const teamKey = team.toLowerCase();
+  const teamLabel = t => String(t || '').trim() || '—';
+  const inTeam = t => !teamKey || teamLabel(t).toLowerCase() === teamKey;
+  const teams = {};
+  const entry = name => (teams[name] = teams[name] || {
+    team: name, headcount: 0, months: {}, leadTimes: [], turnarounds: [], total: 0, flagged: 0
+  });
+
+  const months = [];
+  for (let m = 0; m < 12; m++) months.push(`${year}-${('0' + (m + 1)).slice(-2)}`);
+  const capacity = months.map((month, m) => countBusinessDays_(new Date(year, m, 1, 12), new Date(year, m + 1, 0, 12)));
+
+  snapshot.employees.filter(e => inTeam(e.team)).forEach(e => { entry(teamLabel(e.team)).headcount++; });
+
+  const holidays = getHolidays_();
+  const first = new Date(year, 0, 1);
+  const last = new Date(year, 11, 31);
+  const thisYear = today.getFullYear();
+  const yearEnd = new Date(thisYear, 11, 31);
+  const pendingByName = {};
+  const data = snapshot.dataSolicitudes;
+
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    const empKey = String(row[2] || '').trim().toLowerCase();
+    const teamName = teamLabel(snapshot.teamMap[empKey]);
+    if (!empKey || !inTeam(teamName) || !row[3] || !row[4]) continue;
+
+    const status = String(row[5]);
+    const start = normalizeDate_(row[3]);
+    const end = normalizeDate_(row[4]);
+    const t = entry(teamName);
+
+    // Open vacation requests for the current year count against year-end risk
+    if ((status === ESTADO_PENDIENTE || status === ESTADO_REVISION) && start <= yearEnd && start.getFullYear() === thisYear &&
+        normalizeLeaveType_(row[COL_TIPO - 1]) === DEFAULT_LEAVE_TYPE) {
+      pendingByName[empKey] = (pendingByName[empKey] || 0) + (Number(row[6]) || 0);
+    }
+
+    if (isApprovedState_(status) && end >= first && start <= last) {
+      const emp = snapshot.empleadoMap[empKey] || {};
+      const keys = holidayKeysFor_(holidays, teamName, emp.country || '', start, end);
+      for (let d = new Date(Math.max(start, first)); d <= end && d <= last; d.setDate(d.getDate() + 1)) {
+        const key = dateKey_(d);
+        const days = countRequestDays_(d, d, keys,
+          key === dateKey_(start) ? row[COL_MEDIO_INICIO - 1] : '', key === dateKey_(end) ? row[COL_MEDIO_FIN - 1] : '');
+        if (days) t.months[key.substring(0, 7)] = (t.months[key.substring(0, 7)] || 0) + days;
+      }
+    }
+
+    if (start.getFullYear() !== year) continue;
+    const submitted = row[0] instanceof Date ? row[0] : new Date(row[0]);
+    if (!isNaN(submitted.getTime())) {
+      t.leadTimes.push(Math.round((start - normalizeDate_(submitted)) / 86400000));
+      const approvals = readApprovals_(row[COL_APROBACIONES - 1]);
+      const decided = approvals.length && (isApprovedState_(status) || status === ESTADO_RECHAZADO)
+        ? new Date(approvals[approvals.length - 1].at) : null;
+      if (decided && !isNaN(decided.getTime())) t.turnarounds.push(Math.max(0, (decided - submitted) / 3600000));
+    }
+    t.total++;
+    const note = snapshot.estadoNotes[i] || '';
+    if (note && note !== 'Invalid Data') t.flagged++;
+  }
+
+  const list = Object.keys(teams).sort().map(k => teams[k]);
+  const percent = (part, whole) => whole ? Math.round(part / whole * 1000) / 10 : 0;
+  const byTeam = (key, fn) => list.filter(t => t[key].length).map(t => Object.assign({ team: t.team }, fn(t[key])));
+
+  const utilization = list.filter(t => t.headcount).map(t => {
+    const perMonth = months.map((month, m) => {
+      const days = round2_(t.months[month] || 0);
+      const cap = t.headcount * capacity[m];
+      return { month, days, capacity: cap, percent: percent(days, cap) };
+    });
+    const days = round2_(perMonth.reduce((sum, m) => sum + m.days, 0));
+    const cap = perMonth.reduce((sum, m) => sum + m.capacity, 0);
+    return { team: t.team, headcount: t.headcount, months: perMonth, days, capacity: cap, percent: percent(days, cap) };
+  });
+
+  const all = key => [].concat.apply([], list.map(t => t[key]));
+  const total = list.reduce((sum, t) => sum + t.total, 0);
+  const flagged = list.reduce((sum, t) => sum + t.flagged, 0);
+
+  const atRisk = [];
+  snapshot.employees.filter(e => inTeam(e.team)).forEach(e => {
+    const key = e.nombre.toLowerCase();
+    const accruing = e.hire && e.hire <= yearEnd
+      ? round2_(accrualTierFor_(completedYears_(e.hire, yearEnd)).daysPerYear * (11 - today.getMonth()) / 12) : 0;
+    const pending = round2_(pendingByName[key] || 0);
+    const days = round2_(e.remaining + accruing - pending - ACCRUAL_POLICY.maxCarryOver);
+    if (days > 0) {
+      atRisk.push({ employee: e.nombre, email: e.email, team: teamLabel(e.team), remaining: e.remaining, accruing, pending, atRisk: days });
+    }
+  });
+  atRisk.sort((a, b) => b.atRisk - a.atRisk || a.employee.localeCompare(b.employee));
+
+  return {
+    year,
+    team: team || null,
+    months,
+    utilization,
+    leadTimeDays: Object.assign(summaryStats_(all('leadTimes')), { byTeam: byTeam('leadTimes', summaryStats_) }),
+    turnaroundHours: Object.assign(summaryStats_(all('turnarounds')), { byTeam: byTeam('turnarounds', summaryStats_) }),
+    conflicts: {
+      total, flagged, percent: percent(flagged, total),
+      byTeam: list.filter(t => t.total).map(t => ({ team: t.team, total: t.total, flagged: t.flagged, percent: percent(t.flagged, t.total) }))
+    },
+    yearEndRisk: { year: thisYear, carryOverCap: ACCRUAL_POLICY.maxCarryOver, employees: atRisk }
+  };
+}
+
+function summaryStats_(values) {
+  if (!values.length) return { count: 0, average: null, median: null };
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  const average = sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+  return { count: sorted.length, average: Math.round(average * 10) / 10, median: Math.round(median * 10) / 10 };
+}
+
+/* ==========================================================================
+   BALANCE ACCRUAL & CARRY-OVER
+   ========================================================================== */
+
+/**
+ * Movement types written to the Movimientos Saldo ledger.
+ * Acumulación and Vencimiento change SaldoHR by their Días value; Arrastre only
+ * records how many days were carried into the new year and when they expire.
+ * Ajuste records a change of the HR entitlement by runHrSync, so SaldoHR is always
+ * the HR entitlement plus the net of Acumulación and Vencimiento (see ACCRUAL_MOVEMENTS).
+ */
+const MOV_ACUMULACION = 'Acumulación';
+const MOV_ARRASTRE    = 'Arrastre';
+const MOV_VENCIMIENTO = 'Vencimiento';
+const MOV_AJUSTE      = 'Ajuste';
+const ACCRUAL_MOVEMENTS = [MOV_ACUMULACION, MOV_VENCIMIENTO];
+
+/**
+ * Scheduled entry point (time-driven trigger). Grants monthly accrual, caps the
+ * carry-over at year end and expires carried days past their deadline.
+ * Safe to re-run: every movement is keyed by employee, type and period.
+ */
+function runAccrualJob() {
+  const lock = LockService.getScriptLock();
+  try { lock.waitLock(30000); } catch (e) { console.warn('Accrual job skipped: server busy.'); return null; }
+
+  try {
+    const result = applyAccrualPolicy_(new Date());
+    logAudit_('ACCRUAL_JOB', result, 'system');
+    return result;
+  } catch (e) {
+    console.error('Accrual job failed:', e);
+    throw e;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function applyAccrualPolicy_(today) {
+  const ss = _getDb();
+  const shE = ss.getSheetByName(SHEET_EMPLEADOS);
+  const shS = ss.getSheetByName(SHEET_SOLICITUDES);
+  if (!shE || shE.getLastRow() < 2) return { granted: 0, expired: 0, movements: 0 };
+
+  const dataE = shE.getDataRange().getValues();
+  const dataS = shS ? shS.getDataRange().getValues() : [];
+  const hireIdx = findHeaderIndex_(dataE[0], ['FechaIngreso', 'Fecha Ingreso', 'HireDate']);
+  const ledgerSheet = getLedgerSheet_();
+  const entries = readLedger_(ledgerSheet);
+  const done = new Set(entries.map(m => `${m.email}|${m.movimiento}|${m.periodo}`));
+
+  const newRows = [];
+  const saldoCol = dataE.slice(1).map(r => [r[3]]);
+  let granted = 0, expired = 0;
+  const year = today.getFullYear();
+
+  for (let j = 1; j < dataE.length; j++) {
+    const nombre = String(dataE[j][0] || '').trim();
+    const email = String(dataE[j][1] || '').trim().toLowerCase();
+    if (!nombre || !email) continue;
+
+    const mine = entries.filter(m => m.email === email);
+    let saldo = Number(dataE[j][3] || 0);
+    const record = (movimiento, dias, periodo, detalle, vence) => {
+      dias = round2_(dias);
+      newRows.push([today, nombre, email, movimiento, dias, periodo, vence || '', detalle]);
+      mine.push({ fecha: today, email, movimiento, dias, periodo, vence: vence || '' });
+      done.add(`${email}|${movimiento}|${periodo}`);
+      if (movimiento !== MOV_ARRASTRE) saldo += dias;
+    };
+
+    // 1. Year-end carry-over cap, only for years the engine was already running
+    const prevYear = String(year - 1);
+    const activePrevYear = mine.some(m => m.fecha.getFullYear() === year - 1);
+    if (activePrevYear && !done.has(`${email}|${MOV_ARRASTRE}|${prevYear}`)) {
+      const yearEnd = new Date(year - 1, 11, 31, 23, 59, 59);
+      const grantedAfter = mine
+        .filter(m => m.movimiento !== MOV_ARRASTRE && m.fecha > yearEnd)
+        .reduce((sum, m) => sum + m.dias, 0);
+      const remaining = saldo - grantedAfter - sumApprovedDays_(dataS, nombre, null, yearEnd);
+      const carried = Math.max(0, Math.min(remaining, ACCRUAL_POLICY.maxCarryOver));
+      const expiry = parseDateToNoon_(`${year}-${ACCRUAL_POLICY.carryOverExpiry}`);
+      if (remaining > carried) {
+        record(MOV_VENCIMIENTO, -(remaining - carried), prevYear, `Exceeds carry-over cap of ${ACCRUAL_POLICY.maxCarryOver} days`);
+        expired += remaining - carried;
+      }
+      record(MOV_ARRASTRE, carried, prevYear, `Carried into ${year}, expires ${fmtDate_(expiry)}`, expiry);
+    }
+
+    // 2. Carried days not used before the expiry date
+    const carry = mine.find(m => m.movimiento === MOV_ARRASTRE && m.periodo === prevYear);
+    const expiryPeriod = `${year}-${MOV_ARRASTRE.toLowerCase()}`;
+    if (carry && carry.vence && today > carry.vence && !done.has(`${email}|${MOV_VENCIMIENTO}|${expiryPeriod}`)) {
+      const usedSince = sumApprovedDays_(dataS, nombre, new Date(year, 0, 1), carry.vence);
+      const unused = Math.max(0, carry.dias - usedSince);
+      record(MOV_VENCIMIENTO, -unused, expiryPeriod, `Carried days unused by ${fmtDate_(carry.vence)}`);
+      expired += unused;
+    }
+
+    // 3. Monthly accrual by seniority tier, catching up on missed months
+    const hire = hireIdx > -1 && dataE[j][hireIdx] ? parseDateToNoon_(dataE[j][hireIdx]) : null;
+    if (hire && !isNaN(hire.getTime()) && hire <= today) {
+      const accrued = mine.filter(m => m.movimiento === MOV_ACUMULACION).map(m => m.periodo).sort();
+      const currentMonth = new Date(year, today.getMonth(), 1, 12);
+      let month = new Date(currentMonth);
+      if (accrued.length) {
+        const last = accrued[accrued.length - 1].split('-');
+        month = new Date(Number(last[0]), Number(last[1]), 1, 12); // Month after the last grant
+      }
+      const hireMonth = new Date(hire.getFullYear(), hire.getMonth(), 1, 12);
+      if (month < hireMonth) month = hireMonth;
+
+      for (; month <= currentMonth; month.setMonth(month.getMonth() + 1)) {
+        const periodo = Utilities.formatDate(month, Session.getScriptTimeZone(), 'yyyy-MM');
+        if (done.has(`${email}|${MOV_ACUMULACION}|${periodo}`)) continue;
+        const years = completedYears_(hire, month);
+        const tier = accrualTierFor_(years);
+        // Spread rounding across the year so twelve grants add up to the full tier
+        const m = month.getMonth() + 1;
+        const dias = round2_(tier.daysPerYear * m / 12) - round2_(tier.daysPerYear * (m - 1) / 12);
+        record(MOV_ACUMULACION, dias, periodo, `${tier.daysPerYear} days/year tier (${years} years of service)`);
+        granted += dias;
+      }
+    }
+
+    saldoCol[j - 1] = [round2_(saldo)];
+  }
+
+  if (newRows.length) {
+    ledgerSheet.getRange(ledgerSheet.getLastRow() + 1, 1, newRows.length, newRows[0].length).setValues(newRows);
+    shE.getRange(2, 4, saldoCol.length, 1).setValues(saldoCol);
+  }
+
+  return { granted: round2_(granted), expired: round2_(expired), movements: newRows.length };
+}
+
+function round2_(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function accrualTierFor_(years) {
+  const tiers = ACCRUAL_POLICY.tiers.slice().sort((a, b) => a.minYears - b.minYears);
+  let tier = tiers[0];
+  tiers.forEach(t => { if (years >= t.minYears) tier = t; });
+  return tier;
+}
+
+function completedYears_(from, to) {
+  let years = to.getFullYear() - from.getFullYear();
+  if (to.getMonth() < from.getMonth() || (to.getMonth() === from.getMonth() && to.getDate() < from.getDate())) years--;
+  return Math.max(0, years);
+}
+
+/**
+ * Approved days of the accrual leave type for an employee whose start date falls in [from, to].
+ * A null bound is open-ended.
+ */
+function sumApprovedDays_(dataS, nombre, from, to) {
+  let total = 0;
+  for (let i = 1; i < dataS.length; i++) {
+    if (String(dataS[i][2] || '').trim() !== nombre) continue;
+    if (!isApprovedState_(dataS[i][5])) continue;
+    if (normalizeLeaveType_(dataS[i][COL_TIPO - 1]) !== ACCRUAL_POLICY.leaveType) continue;
+    const start = normalizeDate_(dataS[i][3]);
+    if (from && start < normalizeDate_(from)) continue;
+    if (to && start > to) continue;
+    total += Number(dataS[i][6]) || 0;
+  }
+  return total;
+}
+
+function getLedgerSheet_() {
+  const ss = _getDb();
+  let sh = ss.getSheetByName(SHEET_MOVIMIENTOS);
+  if (!sh) {
+    sh = ss.insertSheet(SHEET_MOVIMIENTOS);
+    sh.appendRow(['Fecha', 'Empleado', 'Email', 'Movimiento', 'Días', 'Periodo', 'Vence', 'Detalle']);
+    sh.getRange(1, 1, 1, 8).setFontWeight('bold').setBackground('#f0f0f0');
+  }
+  return sh;
+}
+
+function readLedger_(sheet) {
+  if (!sheet || sheet.getLastRow() < 2) return [];
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, 8).getValues().map(r => ({
+    fecha: new Date(r[0]),
+    empleado: String(r[1] || ''),
+    email: String(r[2] || '').trim().toLowerCase(),
+    movimiento: String(r[3] || ''),
+    dias: Number(r[4]) || 0,
+    periodo: String(r[5] || ''),
+    vence: r[6] ? parseDateToNoon_(r[6]) : '',
+    detalle: String(r[7] || '')
+  }));
+}
+
+/**
+ * Accrual summary shown on the employee dashboard: what was granted this year,
+ * carried days still at risk of expiring, and the latest ledger movements.
+ */
+function getAccrualSummary_(email, dataS) {
+  const ss = _getDb();
+  const entries = readLedger_(ss.getSheetByName(SHEET_MOVIMIENTOS))
+    .filter(m => m.email === String(email || '').trim().toLowerCase());
+  const today = new Date();
+  const year = today.getFullYear();
+
+  const accruedThisYear = entries
+    .filter(m => m.movimiento === MOV_ACUMULACION && m.periodo.indexOf(String(year)) === 0)
+    .reduce((sum, m) => sum + m.dias, 0);
+
+  let carryOver = null;
+  const carry = entries.find(m => m.movimiento === MOV_ARRASTRE && m.periodo === String(year - 1));
+  if (carry && carry.vence && today <= carry.vence) {
+    const nombre = entries.length ? entries[0].empleado : '';
+    const used = sumApprovedDays_(dataS, nombre, new Date(year, 0, 1), carry.vence);
+    const days = Math.max(0, carry.dias - used);
+    if (days > 0) carryOver = { days, expires: dateKey_(carry.vence) };
+  }
+
+  const movements = entries.slice(-12).reverse().map(m => ({
+    date: _safeDate(m.fecha), type: m.movimiento, days: m.dias, period: m.periodo, detail: m.detalle
+  }));
+
+  return { accruedThisYear: round2_(accruedThisYear), carryOver, movements };
+}
+
+/* ==========================================================================
+   HR MASTER SYNC
+   ========================================================================== */
+
+/**
+ * Dry run: writes the diff report and emails managers without touching Empleados.
+ * Run manually from the editor to review what the next sync would change.
+ */
+function previewHrSync() {
+  return syncHrBalances_(false);
+}
+
+/**
+ * Copies the authoritative entitlement from the HR master sheet into SaldoHR, keeping the
+ * accrual engine's movements on top: SaldoHR = HR entitlement + net accrual (see buildHrDiff_).
+ * The diff report and manager email are produced before anything is overwritten.
+ * Runs manually or from the daily trigger (see installTriggers).
+ */
+function runHrSync() {
+  return syncHrBalances_(true);
+}
+
+function syncHrBalances_(apply) {
+  const lock = LockService.getScriptLock();
+  try { lock.waitLock(30000); } catch (e) { throw new Error('Server busy. HR sync not started.'); }
+
+  try {
+    const diff = buildHrDiff_();
+    writeHrSyncReport_(diff, apply);
+    notifyHrSync_(diff, apply);
+
+    if (apply && diff.changes.length) {
+      const shE = _getDb().getSheetByName(SHEET_EMPLEADOS);
+      const ledger = getLedgerSheet_();
+      const now = new Date();
+      const periodo = Utilities.formatDate(now, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+      diff.changes.forEach(c => shE.getRange(c.row, 4).setValue(round2_(c.hr + c.accrual)));
+      const movements = diff.changes.map(c => [now, c.empleado, c.email, MOV_AJUSTE, round2_(c.hr - c.local), periodo, '', 'HR master sync']);
+      ledger.getRange(ledger.getLastRow() + 1, 1, movements.length, movements[0].length).setValues(movements);
+      recalcEmpleados_();
+    }
+
+    const summary = {
+      applied: apply,
+      changed: diff.changes.length,
+      missingInHr: diff.missingInHr.length,
+      missingInEmpleados: diff.missingInEmpleados.length,
+      invalid: diff.invalid.length
+    };
+    logAudit_(apply ? 'HR_SYNC' : 'HR_SYNC_PREVIEW', summary, 'system');
+    return summary;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Matches HR rows to Empleados by email (case-insensitive) and classifies every difference.
+ * The HR value is compared with the entitlement part of SaldoHR, i.e. SaldoHR minus the
+ * net of the accrual movements in Movimientos Saldo, so accrual never shows up as drift.
+ */
+function buildHrDiff_() {
+  let hrSheet;
+  try {
+    hrSheet = getDbService_().open(HR_SHEET_ID).getSheetByName(HR_TAB_NAME);
+  } catch (e) {
+    throw new Error('Cannot open the HR master sheet. Check HR_SHEET_ID.');
+  }
+  if (!hrSheet) throw new Error(`HR tab "${HR_TAB_NAME}" not found.`);
+
+  const hr = {};
+  const invalid = [];
+  hrSheet.getDataRange().getValues().slice(1).forEach((r, i) => {
+    const email = String(r[HR_COL_EMAIL - 1] || '').trim().toLowerCase();
+    if (!email || email.indexOf('@') === -1) return;
+    const raw = r[HR_COL_DIAS - 1];
+    const dias = Number(raw);
+    if (raw === '' || isNaN(dias)) {
+      invalid.push({ email, value: String(raw), hrRow: i + 2 });
+      return;
+    }
+    hr[email] = round2_(dias);
+  });
+
+  const accrual = {};
+  readLedger_(_getDb().getSheetByName(SHEET_MOVIMIENTOS))
+    .filter(m => ACCRUAL_MOVEMENTS.includes(m.movimiento))
+    .forEach(m => { accrual[m.email] = (accrual[m.email] || 0) + m.dias; });
+
+  const changes = [];
+  const missingInHr = [];
+  const seen = {};
+  const dataE = _getDb().getSheetByName(SHEET_EMPLEADOS).getDataRange().getValues();
+  for (let j = 1; j < dataE.length; j++) {
+    const email = String(dataE[j][1] || '').trim().toLowerCase();
+    if (!email) continue;
+    const empleado = String(dataE[j][0] || '').trim();
+    seen[email] = true;
+    if (invalid.some(x => x.email === email)) continue;
+    if (!(email in hr)) {
+      missingInHr.push({ email, empleado });
+      continue;
+    }
+    const net = round2_(accrual[email] || 0);
+    const local = round2_(Number(dataE[j][3] || 0) - net);
+    if (local !== hr[email]) changes.push({ row: j + 1, email, empleado, local, hr: hr[email], accrual: net });
+  }
+
+  const missingInEmpleados = Object.keys(hr).filter(email => !seen[email]).map(email => ({ email, hr: hr[email] }));
+  return { changes, missingInHr, missingInEmpleados, invalid };
+}
+
+/**
+ * Replaces the Sync HR sheet with the latest diff (one row per difference).
+ */
+function writeHrSyncReport_(diff, apply) {
+  const ss = _getDb();
+  let sh = ss.getSheetByName(SHEET_SYNC_HR);
+  if (!sh) sh = ss.insertSheet(SHEET_SYNC_HR);
+  sh.clear();
+
+  const now = new Date();
+  const rows = [['Fecha', 'Modo', 'Estado', 'Email', 'Empleado', 'Base HR actual', 'Base HR (HR)', 'Diferencia', 'Acumulación neta', 'SaldoHR nuevo']];
+  const mode = apply ? 'Aplicado' : 'Vista previa';
+  diff.changes.forEach(c => rows.push([now, mode, 'Actualizar', c.email, c.empleado, c.local, c.hr, round2_(c.hr - c.local), c.accrual, round2_(c.hr + c.accrual)]));
+  diff.missingInHr.forEach(m => rows.push([now, mode, 'Falta en HR', m.email, m.empleado, '', '', '', '', '']));
+  diff.missingInEmpleados.forEach(m => rows.push([now, mode, 'Falta en Empleados', m.email, '', '', m.hr, '', '', '']));
+  diff.invalid.forEach(m => rows.push([now, mode, 'Valor inválido en HR', m.email, '', '', m.value, '', '', '']));
+  if (rows.length === 1) rows.push([now, mode, 'Sin diferencias', '', '', '', '', '', '', '']);
+
+  sh.getRange(1, 1, rows.length, rows[0].length).setValues(rows);
+  sh.getRange(1, 1, 1, rows[0].length).setFontWeight('bold').setBackground('#f0f0f0');
+}
+
+function notifyHrSync_(diff, apply) {
+  const total = diff.changes.length + diff.missingInHr.length + diff.missingInEmpleados.length + diff.invalid.length;
+  if (!total) return;
+
+  const managers = getManagerEmails_();
+  if (!managers.length) return;
+
+  // Up to 25 entries per list in the email; the Sync HR sheet has them all
+  const list = (items, lang, fmt) => rawHtml_(items.length ? '<ul>' + items.slice(0, 25).map(x => `<li>${fmt(x)}</li>`).join('') +
+    (items.length > 25 ? `<li>${emailText_(lang, 'more').replace('{n}', items.length - 25).replace('{sheet}', SHEET_SYNC_HR)}</li>` : '') + '</ul>' : '');
+  sendTemplate_(managers, 'hr_sync_report', lang => ({
+    aplicado: apply ? 'x' : '',
+    total,
+    cambios: diff.changes.length,
+    faltaHr: diff.missingInHr.length,
+    faltaEmpleados: diff.missingInEmpleados.length,
+    invalidos: diff.invalid.length,
+    listaCambios: list(diff.changes, lang, c => `${escapeHtml_(c.empleado)} (${escapeHtml_(c.email)}): ${c.local} → ${c.hr}` +
+      (c.accrual ? ` (+ ${c.accrual} ${emailText_(lang, 'accrual')})` : '')),
+    listaFaltaHr: list(diff.missingInHr, lang, m => `${escapeHtml_(m.empleado)} (${escapeHtml_(m.email)})`),
+    listaFaltaEmpleados: list(diff.missingInEmpleados, lang, m => `${escapeHtml_(m.email)}: ${m.hr} ${emailText_(lang, 'days')}`),
+    listaInvalidos: list(diff.invalid, lang, m => `${escapeHtml_(m.email)}, ${emailText_(lang, 'row')} ${m.hrRow}: "${escapeHtml_(m.value)}"`)
+  }));
+}
+
+/* ==========================================================================
+   CALENDAR RECONCILIATION
+   ========================================================================== */
+
+/**
+ * Dry run: reports what the next reconciliation would fix without touching the calendar.
+ */
+function previewCalendarReconciliation() {
+  return reconcileCalendar_(false);
+}
+
+/**
+ * Makes the Team Vacations calendar match Solicitudes: one event per booked request, with
+ * the right title and dates, and the event ID in column 8. Every fix is appended to the
+ * Conciliación Calendario sheet. Runs manually or from the nightly trigger (see installTriggers).
+ */
+function runCalendarReconciliation() {
+  return reconcileCalendar_(true);
+}
+
+function reconcileCalendar_(apply) {
+  const lock = LockService.getScriptLock();
+  try { lock.waitLock(30000); } catch (e) { throw new Error('Server busy. Calendar reconciliation not started.'); }
+
+  try {
+    const cal = getCalendar_();
+    const fixes = buildCalendarDiff_(cal, requestsRepo_().all());
+    if (apply) fixes.forEach(fix => applyCalendarFix_(cal, fix));
+    writeCalendarReconciliationReport_(fixes, apply);
+
+    const summary = { applied: apply, errors: fixes.filter(f => f.error).length };
+    Object.keys(CALENDAR_FIXES).forEach(k => { summary[k] = fixes.filter(f => f.action === k).length; });
+    logAudit_(apply ? 'CALENDAR_RECONCILE' : 'CALENDAR_RECONCILE_PREVIEW', summary, 'system');
+    return summary;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * A calendar write that failed during a status change. The request keeps its new status;
+ * the audit entry records the failure and the next reconciliation repairs the event.
+ */
+function recordCalendarWriteFailure_(requestId, action, error) {
+  console.warn(`Calendar ${action} failed for request ${requestId}`, error);
+  logAudit_('CALENDAR_WRITE_FAILED', { requestId, action, error: error && error.message }, 'system');
+}
+
+// Report wording (Acción column) of each kind of fix
+const CALENDAR_FIXES = {
+  create: 'Crear evento',
+  update: 'Corregir evento',
+  relink: 'Corregir ID',
+  delete: 'Eliminar evento',
+  clear: 'Limpiar ID',
+  review: 'Revisar evento'
+};
+
+/**
+ * Compares every request with the calendar, in the span covered by Solicitudes:
+ * - booked leave whose event is missing gets a matching unlinked event (relink) or a new one (create);
+ * - booked leave whose event has another title or other dates gets it corrected (update);
+ * - other requests lose their event (delete) or a dangling ID (clear);
+ * - leave events that no request points to are only reported (review): they may be made by hand,
+ *   older than the ID column or left by a failed write, so a person decides.
+ * Only event IDs recorded on a request are ever deleted.
+ * @return {Array<{action: string, request: ?Object, eventId: string, expected?: Object, detail: string}>}
+ */
+function buildCalendarDiff_(cal, requests) {
+  const dated = requests.filter(r => r.inicio instanceof Date && r.fin instanceof Date);
+  if (!dated.length) return [];
+  const from = normalizeDate_(new Date(Math.min.apply(null, dated.map(r => r.inicio.getTime()))));
+  const to = normalizeDate_(new Date(Math.max.apply(null, dated.map(r => r.fin.getTime()))));
+  to.setDate(to.getDate() + 1);
+
+  const events = cal.getEvents(from, to);
+  const byId = {};
+  events.forEach(ev => { byId[ev.getId()] = ev; });
+  const find = id => {
+    if (!id) return null;
+    if (byId[id]) return byId[id];
+    try { return cal.getEventById(id); } catch (e) { return null; }
+  };
+
+  const fixes = [];
+  const claimed = new Set();
+  const booked = dated.filter(r => isApprovedState_(r.estado));
+  const missing = [];
+
+  booked.forEach(r => {
+    const id = String(r.eventId || '').trim();
+    const ev = claimed.has(id) ? null : find(id);
+    if (!ev) { missing.push(r); return; }
+    claimed.add(id);
+    const expected = leaveEventFor_(r);
+    const diff = calendarEventDiff_(ev, expected);
+    if (diff) fixes.push({ action: 'update', request: r, eventId: id, expected, detail: diff });
+  });
+
+  missing.forEach(r => {
+    const stale = String(r.eventId || '').trim();
+    const expected = leaveEventFor_(r);
+    const match = events.find(ev => !claimed.has(ev.getId()) && !calendarEventDiff_(ev, expected));
+    const why = stale ? `Event ${stale} not found` : 'No event ID';
+    if (match) {
+      claimed.add(match.getId());
+      fixes.push({ action: 'relink', request: r, eventId: match.getId(), detail: `${why}; linked to the matching event` });
+    } else {
+      fixes.push({ action: 'create', request: r, eventId: '', expected, detail: why });
+    }
+  });
+
+  dated.filter(r => !isApprovedState_(r.estado) && String(r.eventId || '').trim()).forEach(r => {
+    const id = String(r.eventId).trim();
+    const ev = claimed.has(id) ? null : find(id);
+    if (ev) claimed.add(id);
+    fixes.push(ev
+      ? { action: 'delete', request: r, eventId: id, detail: `Request is ${r.estado}` }
+      : { action: 'clear', request: r, eventId: id, detail: `Request is ${r.estado}; event not found or used by another request` });
+  });
+
+  events.filter(ev => !claimed.has(ev.getId()) && isLeaveEventTitle_(ev.getTitle())).forEach(ev => {
+    fixes.push({ action: 'review', request: null, eventId: ev.getId(), detail: `No request points to "${ev.getTitle()}" (${fmtPeriod_(ev.getAllDayStartDate(), new Date(ev.getAllDayEndDate().getTime() - 86400000))})` });
+  });
+  return fixes;
+}
+
+/**
+ * What differs between an event and the expected one, or '' when they match.
+ */
+function calendarEventDiff_(ev, expected) {
+  const problems = [];
+  if (ev.getTitle() !== expected.title) problems.push(`title "${ev.getTitle()}" should be "${expected.title}"`);
+  if (!ev.isAllDayEvent()) problems.push('not an all-day event');
+  else if (dateKey_(ev.getAllDayStartDate()) !== dateKey_(expected.start) || dateKey_(ev.getAllDayEndDate()) !== dateKey_(expected.end)) {
+    problems.push(`dates ${fmtPeriod_(ev.getAllDayStartDate(), new Date(ev.getAllDayEndDate().getTime() - 86400000))} should be ${fmtPeriod_(expected.start, new Date(expected.end.getTime() - 86400000))}`);
+  }
+  return problems.join('; ');
+}
+
+/**
+ * Titles leaveEventTitle_ produces: "<leave type label>: …" or "<label> (EXCEPTION): …".
+ */
+function isLeaveEventTitle_(title) {
+  const t = String(title || '');
+  return Object.keys(LEAVE_TYPES).some(k => t.indexOf(`${LEAVE_TYPES[k].label}: `) === 0 || t.indexOf(`${LEAVE_TYPES[k].label} (EXCEPTION): `) === 0);
+}
+
+/**
+ * Applies one fix; a failure is kept in fix.error for the report and does not stop the run.
+ */
+function applyCalendarFix_(cal, fix) {
+  const repo = requestsRepo_();
+  try {
+    if (fix.action === 'create') {
+      const ev = cal.createAllDayEvent(fix.expected.title, fix.expected.start, fix.expected.end);
+      fix.eventId = ev.getId();
+      repo.update(fix.request.row, { eventId: fix.eventId });
+    } else if (fix.action === 'update') {
+      const ev = cal.getEventById(fix.eventId);
+      ev.setTitle(fix.expected.title);
+      ev.setAllDayDates(fix.expected.start, fix.expected.end);
+    } else if (fix.action === 'relink') {
+      repo.update(fix.request.row, { eventId: fix.eventId });
+    } else if (fix.action === 'delete') {
+      const ev = cal.getEventById(fix.eventId);
+      if (ev) ev.deleteEvent();
+      repo.update(fix.request.row, { eventId: '' });
+    } else if (fix.action === 'clear') {
+      repo.update(fix.request.row, { eventId: '' });
+    }
+    // review: report only
+  } catch (e) {
+    console.warn(`Calendar fix failed (${fix.action} ${fix.eventId})`, e);
+    fix.error = e.message;
+  }
+}
+
+/**
+ * Appends one row per fix to the Conciliación Calendario sheet; a run with nothing to fix adds nothing.
+ */
+function writeCalendarReconciliationReport_(fixes, apply) {
+  if (!fixes.length) return;
+  const ss = _getDb();
+  let sh = ss.getSheetByName(SHEET_CONCILIACION);
+  if (!sh) {
+    sh = ss.insertSheet(SHEET_CONCILIACION);
+    sh.appendRow(['Fecha', 'Modo', 'Acción', 'Solicitud', 'Empleado', 'Periodo', 'Estado', 'Evento', 'Detalle', 'Error']);
+    sh.getRange(1, 1, 1, 10).setFontWeight('bold').setBackground('#f0f0f0');
+  }
+
+  const now = new Date();
+  const mode = apply ? 'Aplicado' : 'Vista previa';
+  const rows = fixes.map(f => {
+    const r = f.request;
+    return [now, mode, CALENDAR_FIXES[f.action], r ? r.id : '', r ? r.empleado : '', r ? fmtPeriod_(r.inicio, r.fin) : '',
+      r ? r.estado : '', f.eventId, f.detail, f.error || ''];
+  });
+  sh.getRange(sh.getLastRow() + 1, 1, rows.length, rows[0].length).setValues(rows);
+}
+
+/* ==========================================================================
+   REMINDERS
+   ========================================================================== */
+
+/**
+ * Daily trigger (REMINDER_HOUR_LOCAL). Escalates requests stuck in REMINDER_STATES
+ * to managers and reminds employees and their team before approved leave starts.
+ * Every reminder is logged in the Recordatorios sheet, so a re-run never repeats one.
+ */
+function runReminderJob() {
+  const lock = LockService.getScriptLock();
+  try { lock.waitLock(30000); } catch (e) { console.warn('Reminder job skipped: server busy.'); return null; }
+
+  try {
+    const today = normalizeDate_(new Date());
+    const sh = _getDb().getSheetByName(SHEET_SOLICITUDES);
+    const data = sh && sh.getLastRow() > 1 ? sh.getDataRange().getValues() : [];
+    const logSheet = getReminderLogSheet_();
+    const sent = new Set(logSheet.getLastRow() > 1
+      ? upgradeReminderLogKeys_(logSheet.getRange(2, 2, logSheet.getLastRow() - 1, 1).getValues().map(r => String(r[0])), data)
+      : []);
+    const log = [];
+    const markSent = (key, to) => { sent.add(key); log.push([new Date(), key, to]); };
+
+    const escalated = sendPendingEscalations_(data, today, sent, markSent);
+    const upcoming = sendUpcomingLeaveReminders_(data, today, sent, markSent);
+    const delegationSummaries = sendDelegationSummaries_(data, today, sent, markSent);
+
+    if (log.length) logSheet.getRange(logSheet.getLastRow() + 1, 1, log.length, 3).setValues(log);
+    const result = { escalated, upcoming, delegationSummaries };
+    if (escalated || upcoming || delegationSummaries) logAudit_('REMINDER_JOB', result, 'system');
+    return result;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * One email to managers listing the requests that crossed a new escalation step.
+ * A request is escalated again every REMINDER_ESCALATE_AFTER_DAYS it stays unresolved.
+ */
+function sendPendingEscalations_(data, today, sent, markSent) {
+  const stuck = [];
+  for (let i = 1; i < data.length; i++) {
+    const estado = String(data[i][5] || '');
+    if (!REMINDER_STATES.includes(estado) || !data[i][0]) continue;
+    const age = Math.floor((today - normalizeDate_(data[i][0])) / 86400000);
+    if (age < REMINDER_ESCALATE_AFTER_DAYS) continue;
+    const step = Math.floor(age / REMINDER_ESCALATE_AFTER_DAYS);
+    const key = `escalation|${reminderRequestKey_(data[i])}|${step}`;
+    if (sent.has(key)) continue;
+    const chain = getApprovalChain_(getEmployeeTeam_(data[i][2]), Number(data[i][6]) || 0);
+    const approvers = chain[Math.min(Number(data[i][COL_PASO - 1]) || 1, chain.length) - 1];
+    stuck.push({ key, age, estado, approvers, empleado: data[i][2], inicio: data[i][3], fin: data[i][4], tipo: normalizeLeaveType_(data[i][COL_TIPO - 1]) });
+  }
+  if (!stuck.length) return 0;
+
+  // One email per approver group, listing only what waits on them
+  const groups = {};
+  stuck.forEach(r => {
+    const to = r.approvers.join(',');
+    (groups[to] = groups[to] || []).push(r);
+  });
+
+  let count = 0;
+  Object.keys(groups).forEach(to => {
+    const items = groups[to].sort((a, b) => b.age - a.age);
+    const res = notifyApprovers_(groups[to][0].approvers, 'pending_escalation', lang => ({
+      cantidad: items.length,
+      dias: REMINDER_ESCALATE_AFTER_DAYS,
+      solicitudes: rawHtml_('<ul>' + items.map(r =>
+        `<li><strong>${escapeHtml_(r.empleado)}</strong> · ${escapeHtml_(leaveTypeLabel_(r.tipo, lang))} · ${fmtPeriod_(r.inicio, r.fin)} · ` +
+        `${escapeHtml_(statusLabel_(r.estado, lang))} ${emailText_(lang, 'waitingDays').replace('{n}', r.age)}</li>`).join('') + '</ul>')
+    }));
+    if (!res.success) return;
+    groups[to].forEach(r => markSent(r.key, to));
+    count += groups[to].length;
+  });
+  return count;
+}
+
+/**
+ * Handover reminder to the employee, and an absence notice to the rest of the team,
+ * REMINDER_DAYS_BEFORE days before approved leave starts. Missed days are caught up
+ * on the next run as long as the leave has not started.
+ */
+function sendUpcomingLeaveReminders_(data, today, sent, markSent) {
+  const horizon = new Date(today.getTime() + REMINDER_DAYS_BEFORE * 86400000);
+  const dataE = _getDb().getSheetByName(SHEET_EMPLEADOS).getDataRange().getValues();
+  let count = 0;
+
+  for (let i = 1; i < data.length; i++) {
+    if (!isApprovedState_(data[i][5])) continue;
+    const start = normalizeDate_(data[i][3]);
+    if (start <= today || start > horizon) continue;
+
+    const key = `upcoming|${reminderRequestKey_(data[i])}|${dateKey_(start)}`;
+    if (sent.has(key)) continue;
+
+    const email = String(data[i][1] || '').trim();
+    const empleado = data[i][2];
+    const periodo = fmtPeriod_(data[i][3], data[i][4]);
+    const days = Math.round((start - today) / 86400000);
+    const vars = lang => ({ empleado, periodo, faltan: days, tipo: leaveTypeLabel_(data[i][COL_TIPO - 1], lang) });
+
+    const res = sendTemplate_(email, 'upcoming_leave', vars);
+    if (!res.success) continue;
+
+    const emp = dataE.find(r => String(r[1]).trim().toLowerCase() === email.toLowerCase());
+    const team = emp ? emp[2] : '';
+    const teammates = team
+      ? dataE.slice(1).filter(r => r[2] === team && r[1] && String(r[1]).trim().toLowerCase() !== email.toLowerCase()).map(r => String(r[1]).trim())
+      : [];
+    if (teammates.length) sendTemplate_(teammates, 'team_absence', vars);
+
+    markSent(key, [email].concat(teammates).join(','));
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Identifies a request for the reminder log by its permanent ID, which stays the same when
+ * Solicitudes is re-sorted. Rows without an ID fall back to creation timestamp and email.
+ */
+function reminderRequestKey_(row) {
+  return String(row[COL_ID - 1] || '').trim() || legacyReminderRequestKey_(row);
+}
+
+function legacyReminderRequestKey_(row) {
+  return `${new Date(row[0]).getTime()}|${String(row[1] || '').trim().toLowerCase()}`;
+}
+
+/**
+ * Log entries written before requests had IDs ("kind|timestamp|email|…"), rewritten with the
+ * request's ID so reminders already sent are not sent again.
+ */
+function upgradeReminderLogKeys_(keys, data) {
+  const idByLegacy = {};
+  for (let i = 1; i < data.length; i++) {
+    const id = String(data[i][COL_ID - 1] || '').trim();
+    if (id && data[i][0]) idByLegacy[legacyReminderRequestKey_(data[i])] = id;
+  }
+  return keys.map(key => {
+    const parts = key.split('|');
+    const id = parts.length > 3 ? idByLegacy[`${parts[1]}|${parts[2]}`] : null;
+    return id ? [parts[0], id].concat(parts.slice(3)).join('|') : key;
+  });
+}
+
+function getReminderLogSheet_() {
+  const ss = _getDb();
+  let sh = ss.getSheetByName(SHEET_RECORDATORIOS);
+  if (!sh) {
+    sh = ss.insertSheet(SHEET_RECORDATORIOS);
+    sh.appendRow(['Fecha', 'Clave', 'Destinatarios']);
+    sh.getRange(1, 1, 1, 3).setFontWeight('bold').setBackground('#f0f0f0');
+  }
+  return sh;
+}
+
+/* ==========================================================================
+   MANAGER DIGEST
+   ========================================================================== */
+
+/**
+ * Digest channel: holds approval notices for approvers in digest mode (ModoAprobaciones = resumen).
+ * Only the request ID is kept, so the digest shows each request as it is when it goes out.
+ * Notices about no single request (escalations) are dropped: the digest lists aging requests itself.
+ */
+function queueDigestItems_(list, name, vars) {
+  const sample = (typeof vars === 'function' ? vars(DEFAULT_EMAIL_LANGUAGE) : vars) || {};
+  const requestId = String(sample.solicitudId || '').trim();
+  if (!requestId) return { success: true, error: null };
+
+  const sh = getDigestQueueSheet_();
+  const now = new Date();
+  const rows = list.map(email => [now, email.toLowerCase(), name, requestId]);
+  sh.getRange(sh.getLastRow() + 1, 1, rows.length, 4).setValues(rows);
+  return { success: true, error: null };
+}
+
+function getDigestQueueSheet_() {
+  const ss = _getDb();
+  let sh = ss.getSheetByName(SHEET_COLA_RESUMEN);
+  if (!sh) {
+    sh = ss.insertSheet(SHEET_COLA_RESUMEN);
+    sh.appendRow(['Fecha', 'Destinatario', 'Plantilla', 'Solicitud']);
+    sh.getRange(1, 1, 1, 4).setFontWeight('bold').setBackground('#f0f0f0');
+  }
+  return sh;
+}
+
+/**
+ * Daily trigger (DIGEST_HOUR_LOCAL). Sends one summary to each approver in digest mode, and to
+ * anyone with queued notices who has switched back since, then clears their queue.
+ * Approvers with nothing to report get no email; a failed send keeps the queue for the next run.
+ */
+function runDigestJob() {
+  const lock = LockService.getScriptLock();
+  try { lock.waitLock(30000); } catch (e) { console.warn('Digest job skipped: server busy.'); return null; }
+
+  try {
+    const today = normalizeDate_(new Date());
+    const sh = getDigestQueueSheet_();
+    const queue = sh.getLastRow() > 1 ? sh.getRange(2, 1, sh.getLastRow() - 1, 4).getValues() : [];
+    const prefs = readNotificationPreferences_();
+    const recipients = Object.keys(prefs).filter(e => prefs[e].approvalMode === 'resumen');
+    queue.forEach(q => {
+      const to = String(q[1] || '').trim().toLowerCase();
+      if (to && !recipients.includes(to)) recipients.push(to);
+    });
+    if (!recipients.length) return { digests: 0 };
+
+    const requests = requestsRepo_().all();
+    const done = new Set();
+    let digests = 0;
+    recipients.forEach(email => {
+      const queuedIds = queue.filter(q => String(q[1] || '').trim().toLowerCase() === email).map(q => String(q[3]));
+      const digest = buildManagerDigest_(email, requests, queuedIds, today);
+      if (digest.total) {
+        const res = sendTemplate_(email, 'manager_digest', lang => managerDigestVars_(digest, lang));
+        if (!res.success) return;
+        digests++;
+      }
+      done.add(email);
+    });
+
+    const remaining = queue.filter(q => !done.has(String(q[1] || '').trim().toLowerCase()));
+    if (remaining.length < queue.length) {
+      sh.getRange(2, 1, queue.length, 4).clearContent();
+      if (remaining.length) sh.getRange(2, 1, remaining.length, 4).setValues(remaining);
+    }
+    if (digests) logAudit_('DIGEST_JOB', { digests, cleared: queue.length - remaining.length }, 'system');
+    return { digests };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * What one approver hears about, read from Solicitudes as it is now:
+ * queued requests still waiting on them (nuevas), conflicts waiting on them (conflictos),
+ * other requests waiting REMINDER_ESCALATE_AFTER_DAYS or more (antiguas), and approved leave
+ * in their teams starting within DIGEST_UPCOMING_DAYS (proximas).
+ * @param {string[]} queuedIds - Requests queued for this approver since the last digest.
+ */
+function buildManagerDigest_(email, requests, queuedIds, today) {
+  const reach = {};
+  const reaches = approvers => {
+    const key = approvers.join(',');
+    if (!reach[key]) reach[key] = withActiveDelegates_(approvers, today);
+    return reach[key].includes(email);
+  };
+  const chainOf = r => getApprovalChain_(getEmployeeTeam_(String(r.empleado || '').trim()), Number(r.dias) || 0);
+  const awaiting = r => {
+    const chain = chainOf(r);
+    return reaches(chain[Math.min(Number(r.paso) || 1, chain.length) - 1]);
+  };
+  const age = r => Math.floor((today - normalizeDate_(r.timestamp)) / 86400000);
+  const byStart = (a, b) => normalizeDate_(a.inicio) - normalizeDate_(b.inicio);
+  const horizon = new Date(today.getTime() + DIGEST_UPCOMING_DAYS * 86400000);
+
+  const open = requests.filter(r => r.id && REMINDER_STATES.includes(r.estado) && awaiting(r));
+  const conflictos = open.filter(r => r.estado === ESTADO_REVISION).sort(byStart);
+  const waiting = open.filter(r => r.estado !== ESTADO_REVISION);
+  const nuevas = waiting.filter(r => queuedIds.includes(String(r.id))).sort(byStart);
+  const antiguas = waiting.filter(r => !queuedIds.includes(String(r.id)) && r.timestamp && age(r) >= REMINDER_ESCALATE_AFTER_DAYS)
+    .sort((a, b) => age(b) - age(a));
+  const proximas = requests.filter(r => {
+    if (!isApprovedState_(r.estado) || !r.inicio) return false;
+    const start = normalizeDate_(r.inicio);
+    return start > today && start <= horizon && chainOf(r).some(reaches);
+  }).sort(byStart);
+
+  return { nuevas, conflictos, antiguas, proximas, age, total: nuevas.length + conflictos.length + antiguas.length + proximas.length };
+}
+
+function managerDigestVars_(digest, lang) {
+  const sh = _getDb().getSheetByName(SHEET_SOLICITUDES);
+  const list = (items, extra) => items.length ? '<ul style="padding-left: 18px;">' + items.map(r => {
+    const team = getEmployeeTeam_(String(r.empleado || '').trim()) || '—';
+    const more = extra ? extra(r) : '';
+    return `<li style="margin-bottom: 6px;"><strong>${escapeHtml_(r.empleado)}</strong> (${escapeHtml_(team)}) · ${escapeHtml_(leaveTypeLabel_(r.tipo, lang))} · ` +
+      `${fmtPeriod_(r.inicio, r.fin, r.medioInicio, r.medioFin)} · ${r.dias} ${emailText_(lang, 'businessDays')}${more ? ` · ${more}` : ''}</li>`;
+  }).join('') + '</ul>' : '';
+
+  return {
+    porDecidir: digest.nuevas.length + digest.conflictos.length + digest.antiguas.length,
+    dias: REMINDER_ESCALATE_AFTER_DAYS,
+    proximosDias: DIGEST_UPCOMING_DAYS,
+    nuevas: rawHtml_(list(digest.nuevas)),
+    conflictos: rawHtml_(list(digest.conflictos, r => escapeHtml_(String(sh.getRange(r.row, 6).getNote() || '').split('\n')[0]))),
+    antiguas: rawHtml_(list(digest.antiguas, r => emailText_(lang, 'waitingDays').replace('{n}', digest.age(r)))),
+    proximas: rawHtml_(list(digest.proximas))
+  };
+}
+
+/* ==========================================================================
+   TRIGGERS
+   ========================================================================== */
+
+/**
+ * Installs (or re-installs) the time-driven triggers for the scheduled jobs.
+ * Run once from the Apps Script editor after deploying.
+ */
+function installTriggers() {
+  const handlers = ['runAccrualJob', 'runHrSync', 'runReminderJob', 'runDigestJob', 'runOutboxJob', 'runCalendarReconciliation'];
+  ScriptApp.getProjectTriggers()
+    .filter(t => handlers.includes(t.getHandlerFunction()))
+    .forEach(t => ScriptApp.deleteTrigger(t));
+
+  ScriptApp.newTrigger('runAccrualJob').timeBased().onMonthDay(1).atHour(ACCRUAL_JOB_HOUR).create();
+  ScriptApp.newTrigger('runHrSync').timeBased().everyDays(1).atHour(HR_SYNC_HOUR).create();
+  ScriptApp.newTrigger('runReminderJob').timeBased().everyDays(1).atHour(REMINDER_HOUR_LOCAL).create();
+  ScriptApp.newTrigger('runDigestJob').timeBased().everyDays(1).atHour(DIGEST_HOUR_LOCAL).create();
+  ScriptApp.newTrigger('runOutboxJob').timeBased().everyMinutes(OUTBOX_JOB_MINUTES).create();
+  ScriptApp.newTrigger('runCalendarReconciliation').timeBased().everyDays(1).atHour(CALENDAR_RECONCILE_HOUR).create();
+}
+
+/* ==========================================================================
+   EMAIL TEMPLATES
+   ========================================================================== */
+
+/**
+ * Built-in text of every notification, one named template per event and language.
+ * Rows of the Plantillas sheet (Plantilla | Idioma | Asunto | Título | Cuerpo) override any field
+ * without a deploy (see installEmailTemplates); blank cells keep the text below.
+ *
+ * Placeholders: {{name}} is replaced by a variable, HTML-escaped in the title and body.
+ * {{#name}}...{{/name}} is kept only when the variable is non-empty, {{^name}}...{{/name}} only when it is empty.
+ * Variables built as HTML by the code (tables, comment threads) are marked with rawHtml_ and inserted as-is.
+ * {{acciones}} holds the one-click approve/reject buttons of the emails sent to approvers (see createActionLinks_).
+ */
+const EMAIL_TEMPLATES = {
+  request_received: {
+    es: {
+      subject: 'Solicitud recibida',
+      title: 'Solicitud recibida',
+      body: '<p>Tu solicitud de {{tipo}} para <strong>{{periodo}}</strong> ({{dias}} días hábiles) fue recibida y está pendiente de aprobación.</p>'
+    },
+    en: {
+      subject: 'Request Received',
+      title: 'Request Received',
+      body: '<p>Your {{tipo}} request for <strong>{{periodo}}</strong> ({{dias}} business days) has been received and is pending approval.</p>'
+    }
+  },
+  request_review_coverage: {
+    es: {
+      subject: 'Solicitud en revisión',
+      title: 'Acción requerida: conflicto de cobertura',
+      body: '<p>Hola <strong>{{empleado}}</strong>,</p>' +
+        '<p>Recibimos tu solicitud, pero tu equipo superaría su límite de cobertura en {{diasConflicto}} día(s). También estarán ausentes: <strong>{{personas}}</strong>.</p>' +
+        '<p>Tu jefatura la revisará manualmente.</p>'
+    },
+    en: {
+      subject: 'Request Under Review',
+      title: 'Action Required: Coverage Conflict',
+      body: '<p>Hello <strong>{{empleado}}</strong>,</p>' +
+        '<p>We received your request. However, your team would exceed its coverage limit on {{diasConflicto}} day(s). Also out: <strong>{{personas}}</strong>.</p>' +
+        '<p>Your manager will review this manually.</p>'
+    }
+  },
+  request_review_blackout: {
+    es: {
+      subject: 'Solicitud en revisión',
+      title: 'Solicitud en revisión',
+      body: '<p>Hola <strong>{{empleado}}</strong>,</p>' +
+        '<p>Tu solicitud para <strong>{{periodo}}</strong> cae en un periodo restringido{{#bloqueoMotivo}}: <strong>{{bloqueoMotivo}}</strong>{{/bloqueoMotivo}}.</p>' +
+        '<p>Tu jefatura la revisará manualmente.</p>'
+    },
+    en: {
+      subject: 'Request Under Review',
+      title: 'Request Under Review',
+      body: '<p>Hello <strong>{{empleado}}</strong>,</p>' +
+        '<p>Your request for <strong>{{periodo}}</strong> falls within a restricted period{{#bloqueoMotivo}}: <strong>{{bloqueoMotivo}}</strong>{{/bloqueoMotivo}}.</p>' +
+        '<p>Your manager will review this manually.</p>'
+    }
+  },
+  new_request: {
+    es: {
+      subject: '[Vacaciones] Nueva solicitud - {{empleado}}',
+      title: 'Nueva solicitud de {{tipo}}',
+      body: '<p><strong>Empleado:</strong> {{empleado}} ({{equipo}})</p>' +
+        '<p><strong>Tipo:</strong> {{tipo}}</p>' +
+        '<p><strong>Periodo:</strong> {{periodo}}</p>' +
+        '<p><strong>Duración:</strong> {{dias}} días hábiles</p>' +
+        '<p style="color: #34c759;">✅ Sin conflictos.</p>' +
+        '{{acciones}}'
+    },
+    en: {
+      subject: '[Vacation] New Request - {{empleado}}',
+      title: 'New {{tipo}} Request',
+      body: '<p><strong>Employee:</strong> {{empleado}} ({{equipo}})</p>' +
+        '<p><strong>Type:</strong> {{tipo}}</p>' +
+        '<p><strong>Period:</strong> {{periodo}}</p>' +
+        '<p><strong>Duration:</strong> {{dias}} business days</p>' +
+        '<p style="color: #34c759;">✅ No conflicts detected.</p>' +
+        '{{acciones}}'
+    }
+  },
+  conflict_coverage: {
+    es: {
+      subject: '[Vacaciones] ⚠️ Conflicto - {{empleado}} ({{equipo}})',
+      title: 'Conflicto de cobertura',
+      body: '<p><strong>Empleado:</strong> {{empleado}} ({{equipo}})</p>' +
+        '<p><strong>Tipo:</strong> {{tipo}}</p>' +
+        '<p><strong>Fechas:</strong> {{periodo}}</p>' +
+        '<p><strong>Límite de cobertura:</strong> {{limite}} personas ausentes a la vez</p>' +
+        '{{detalle}}' +
+        '{{#bloqueoPeriodo}}<p><strong>Además:</strong> periodo restringido{{#bloqueoMotivo}}: {{bloqueoMotivo}}{{/bloqueoMotivo}} ({{bloqueoPeriodo}})</p>{{/bloqueoPeriodo}}' +
+        '<p style="color: #ff9500;">⚠️ Revisa la cobertura antes de aprobar.</p>' +
+        '{{acciones}}'
+    },
+    en: {
+      subject: '[Vacation] ⚠️ Conflict - {{empleado}} ({{equipo}})',
+      title: 'Coverage Conflict Detected',
+      body: '<p><strong>Employee:</strong> {{empleado}} ({{equipo}})</p>' +
+        '<p><strong>Type:</strong> {{tipo}}</p>' +
+        '<p><strong>Dates:</strong> {{periodo}}</p>' +
+        '<p><strong>Coverage limit:</strong> {{limite}} people out at once</p>' +
+        '{{detalle}}' +
+        '{{#bloqueoPeriodo}}<p><strong>Also:</strong> Blackout period{{#bloqueoMotivo}}: {{bloqueoMotivo}}{{/bloqueoMotivo}} ({{bloqueoPeriodo}})</p>{{/bloqueoPeriodo}}' +
+        '<p style="color: #ff9500;">⚠️ Please review coverage before approving.</p>' +
+        '{{acciones}}'
+    }
+  },
+  conflict_blackout: {
+    es: {
+      subject: '[Vacaciones] ⚠️ Periodo restringido - {{empleado}} ({{equipo}})',
+      title: 'Solicitud en periodo restringido',
+      body: '<p><strong>Empleado:</strong> {{empleado}} ({{equipo}})</p>' +
+        '<p><strong>Tipo:</strong> {{tipo}}</p>' +
+        '<p><strong>Periodo:</strong> {{periodo}}</p>' +
+        '<p><strong>Duración:</strong> {{dias}} días hábiles</p>' +
+        '<p style="color: #ff9500;">⚠️ Periodo restringido{{#bloqueoMotivo}}: {{bloqueoMotivo}}{{/bloqueoMotivo}} ({{bloqueoPeriodo}})</p>' +
+        '{{acciones}}'
+    },
+    en: {
+      subject: '[Vacation] ⚠️ Blackout Period - {{empleado}} ({{equipo}})',
+      title: 'Request During Blackout Period',
+      body: '<p><strong>Employee:</strong> {{empleado}} ({{equipo}})</p>' +
+        '<p><strong>Type:</strong> {{tipo}}</p>' +
+        '<p><strong>Period:</strong> {{periodo}}</p>' +
+        '<p><strong>Duration:</strong> {{dias}} business days</p>' +
+        '<p style="color: #ff9500;">⚠️ Blackout period{{#bloqueoMotivo}}: {{bloqueoMotivo}}{{/bloqueoMotivo}} ({{bloqueoPeriodo}})</p>' +
+        '{{acciones}}'
+    }
+  },
+  step_approval_needed: {
+    es: {
+      subject: '[Vacaciones] Aprobación pendiente (paso {{paso}}/{{pasos}}) - {{empleado}}',
+      title: 'Solicitud de {{tipo}} esperando tu aprobación',
+      body: '<p><strong>Empleado:</strong> {{empleado}} ({{equipo}})</p>' +
+        '<p><strong>Tipo:</strong> {{tipo}}</p>' +
+        '<p><strong>Periodo:</strong> {{periodo}}</p>' +
+        '<p><strong>Duración:</strong> {{dias}} días hábiles</p>' +
+        '<p style="color: #34c759;">✅ Paso {{pasoAnterior}} aprobado por {{aprobadoPor}}.</p>' +
+        '{{comentarios}}' +
+        '{{acciones}}'
+    },
+    en: {
+      subject: '[Vacation] Approval Needed (Step {{paso}}/{{pasos}}) - {{empleado}}',
+      title: '{{tipo}} Request Awaiting Your Approval',
+      body: '<p><strong>Employee:</strong> {{empleado}} ({{equipo}})</p>' +
+        '<p><strong>Type:</strong> {{tipo}}</p>' +
+        '<p><strong>Period:</strong> {{periodo}}</p>' +
+        '<p><strong>Duration:</strong> {{dias}} business days</p>' +
+        '<p style="color: #34c759;">✅ Step {{pasoAnterior}} approved by {{aprobadoPor}}.</p>' +
+        '{{comentarios}}' +
+        '{{acciones}}'
+    }
+  },
+  request_approved: {
+    es: {
+      subject: 'Solicitud de {{tipo}} aprobada ✅',
+      title: 'Aprobada',
+      body: '<p>Tu solicitud de {{tipo}} ({{periodo}}) fue aprobada.</p>{{comentarios}}'
+    },
+    en: {
+      subject: '{{tipo}} Approved ✅',
+      title: 'Approved',
+      body: '<p>Your {{tipo}} request ({{periodo}}) has been approved.</p>{{comentarios}}'
+    }
+  },
+  request_rejected: {
+    es: {
+      subject: 'Solicitud rechazada',
+      title: 'Solicitud rechazada',
+      body: '<p>Tu solicitud de {{tipo}} ({{periodo}}) fue rechazada.</p>{{comentarios}}'
+    },
+    en: {
+      subject: 'Request Rejected',
+      title: 'Request Rejected',
+      body: '<p>Your {{tipo}} request ({{periodo}}) has been rejected.</p>{{comentarios}}'
+    }
+  },
+  request_cancelled: {
+    es: {
+      subject: 'Solicitud cancelada',
+      title: 'Solicitud cancelada',
+      body: '<p>Tu solicitud de {{tipo}} ({{periodo}}) fue cancelada.</p>{{comentarios}}'
+    },
+    en: {
+      subject: 'Request Cancelled',
+      title: 'Request Cancelled',
+      body: '<p>Your {{tipo}} request ({{periodo}}) has been cancelled.</p>{{comentarios}}'
+    }
+  },
+  decision_summary: {
+    es: {
+      subject: '[Vacaciones] {{cantidad}} solicitud(es) actualizada(s)',
+      title: 'Tus solicitudes fueron actualizadas',
+      body: '<p>Tu jefatura decidió sobre las siguientes solicitudes:</p>{{decisiones}}'
+    },
+    en: {
+      subject: '[Vacation] {{cantidad}} request(s) updated',
+      title: 'Your Requests Were Updated',
+      body: '<p>Your manager has decided on the following requests:</p>{{decisiones}}'
+    }
+  },
+  comment_to_employee: {
+    es: {
+      subject: '[Vacaciones] Nuevo comentario en tu solicitud',
+      title: '{{autor}} comentó',
+      body: '<p><strong>Solicitud:</strong> {{empleado}} · {{periodo}} · {{estado}}</p>{{comentarios}}'
+    },
+    en: {
+      subject: '[Vacation] New comment on your request',
+      title: '{{autor}} Commented',
+      body: '<p><strong>Request:</strong> {{empleado}} · {{periodo}} · {{estado}}</p>{{comentarios}}'
+    }
+  },
+  comment_to_approvers: {
+    es: {
+      subject: '[Vacaciones] Nuevo comentario - {{empleado}}',
+      title: '{{autor}} comentó',
+      body: '<p><strong>Solicitud:</strong> {{empleado}} · {{periodo}} · {{estado}}</p>{{comentarios}}'
+    },
+    en: {
+      subject: '[Vacation] New comment - {{empleado}}',
+      title: '{{autor}} Commented',
+      body: '<p><strong>Request:</strong> {{empleado}} · {{periodo}} · {{estado}}</p>{{comentarios}}'
+    }
+  },
+  cancellation_requested: {
+    es: {
+      subject: '[Vacaciones] Cancelación solicitada - {{empleado}}',
+      title: 'Cancelación pendiente de tu confirmación',
+      body: '<p>{{empleado}} pidió {{#nuevoFin}}acortar su solicitud de {{tipo}} para que termine el <strong>{{nuevoFin}}</strong>{{/nuevoFin}}{{^nuevoFin}}cancelar su solicitud de {{tipo}}{{/nuevoFin}}.</p>' +
+        '<p><strong>Periodo aprobado:</strong> {{periodo}}</p>' +
+        '<p>Los días ya tomados se mantienen. Confírmala o recházala en el portal.</p>' +
+        '{{comentarios}}'
+    },
+    en: {
+      subject: '[Vacation] Cancellation Requested - {{empleado}}',
+      title: 'Cancellation Awaiting Your Confirmation',
+      body: '<p>{{empleado}} asked to {{#nuevoFin}}shorten their {{tipo}} so it ends on <strong>{{nuevoFin}}</strong>{{/nuevoFin}}{{^nuevoFin}}cancel their {{tipo}}{{/nuevoFin}}.</p>' +
+        '<p><strong>Approved period:</strong> {{periodo}}</p>' +
+        '<p>Days already taken are kept. Confirm or decline it in the portal.</p>' +
+        '{{comentarios}}'
+    }
+  },
+  cancellation_declined: {
+    es: {
+      subject: '[Vacaciones] Cancelación rechazada',
+      title: 'Cancelación rechazada',
+      body: '<p>Tu solicitud de {{tipo}} ({{original}}) sigue aprobada tal como estaba.</p>{{comentarios}}'
+    },
+    en: {
+      subject: '[Vacation] Cancellation Declined',
+      title: 'Cancellation Declined',
+      body: '<p>Your {{tipo}} ({{original}}) stays approved as booked.</p>{{comentarios}}'
+    }
+  },
+  cancellation_nothing_left: {
+    es: {
+      subject: '[Vacaciones] Nada que cancelar',
+      title: 'Nada que cancelar',
+      body: '<p>Tu solicitud de {{tipo}} ({{original}}) ya se había tomado completa cuando se confirmó la cancelación, así que no cambió nada.</p>{{comentarios}}'
+    },
+    en: {
+      subject: '[Vacation] Nothing Left to Cancel',
+      title: 'Nothing Left to Cancel',
+      body: '<p>Your {{tipo}} ({{original}}) was fully taken before the cancellation was confirmed, so nothing changed.</p>{{comentarios}}'
+    }
+  },
+  leave_shortened: {
+    es: {
+      subject: '[Vacaciones] Ausencia acortada',
+      title: 'Ausencia acortada',
+      body: '<p>Tu solicitud de {{tipo}} ahora es {{periodo}} ({{dias}} días hábiles, antes {{original}}). Los días restantes volvieron a tu saldo.</p>{{comentarios}}'
+    },
+    en: {
+      subject: '[Vacation] Leave Shortened',
+      title: 'Leave Shortened',
+      body: '<p>Your {{tipo}} now runs {{periodo}} ({{dias}} business days, was {{original}}). The remaining days were returned to your balance.</p>{{comentarios}}'
+    }
+  },
+  leave_cancelled: {
+    es: {
+      subject: '[Vacaciones] Ausencia cancelada',
+      title: 'Ausencia cancelada',
+      body: '<p>Tu solicitud de {{tipo}} ({{original}}) fue cancelada y los días volvieron a tu saldo.</p>{{comentarios}}'
+    },
+    en: {
+      subject: '[Vacation] Leave Cancelled',
+      title: 'Leave Cancelled',
+      body: '<p>Your {{tipo}} ({{original}}) was cancelled and the days were returned to your balance.</p>{{comentarios}}'
+    }
+  },
+  delegation_summary: {
+    es: {
+      subject: '[Vacaciones] Mientras no estabas: {{cantidad}} decisión(es)',
+      title: 'De vuelta',
+      body: '<p>Tus aprobaciones estuvieron delegadas del <strong>{{periodo}}</strong>.</p>' +
+        '{{decisiones}}{{^decisiones}}<p>No se decidió ninguna solicitud en tu nombre.</p>{{/decisiones}}'
+    },
+    en: {
+      subject: '[Vacation] While you were away: {{cantidad}} decision(s)',
+      title: 'Welcome Back',
+      body: '<p>Your approvals were delegated from <strong>{{periodo}}</strong>.</p>' +
+        '{{decisiones}}{{^decisiones}}<p>No requests were decided on your behalf.</p>{{/decisiones}}'
+    }
+  },
+  pending_escalation: {
+    es: {
+      subject: '[Vacaciones] ⏰ {{cantidad}} solicitud(es) esperando aprobación',
+      title: 'Solicitudes esperando una decisión',
+      body: '<p>Las siguientes solicitudes llevan más de {{dias}} días esperando:</p>{{solicitudes}}'
+    },
+    en: {
+      subject: '[Vacation] ⏰ {{cantidad}} request(s) waiting for approval',
+      title: 'Requests Waiting for a Decision',
+      body: '<p>The following requests have been waiting for more than {{dias}} days:</p>{{solicitudes}}'
+    }
+  },
+  upcoming_leave: {
+    es: {
+      subject: 'Tu ausencia ({{tipo}}) empieza en {{faltan}} días',
+      title: 'Próxima ausencia',
+      body: '<p>Hola <strong>{{empleado}}</strong>,</p><p>Tu solicitud aprobada de {{tipo}} (<strong>{{periodo}}</strong>) empieza en {{faltan}} días.</p>' +
+        '<p>Planifica el traspaso de tareas con tu equipo y configura tu respuesta automática.</p>'
+    },
+    en: {
+      subject: 'Your {{tipo}} starts in {{faltan}} days',
+      title: 'Upcoming Time Off',
+      body: '<p>Hello <strong>{{empleado}}</strong>,</p><p>Your approved {{tipo}} (<strong>{{periodo}}</strong>) starts in {{faltan}} days.</p>' +
+        '<p>Please plan your handover with the team and set up your out-of-office message.</p>'
+    }
+  },
+  manager_digest: {
+    es: {
+      subject: '[Vacaciones] Resumen diario: {{porDecidir}} por decidir',
+      title: 'Resumen diario de aprobaciones',
+      body: '{{#nuevas}}<h3 style="color: #1d1d1f; font-size: 16px;">Nuevas solicitudes</h3>{{nuevas}}{{/nuevas}}' +
+        '{{#conflictos}}<h3 style="color: #ff9500; font-size: 16px;">⚠️ Conflictos por revisar</h3>{{conflictos}}{{/conflictos}}' +
+        '{{#antiguas}}<h3 style="color: #1d1d1f; font-size: 16px;">⏰ Pendientes desde hace {{dias}} días o más</h3>{{antiguas}}{{/antiguas}}' +
+        '{{#proximas}}<h3 style="color: #1d1d1f; font-size: 16px;">Ausencias aprobadas en los próximos {{proximosDias}} días</h3>{{proximas}}{{/proximas}}'
+    },
+    en: {
+      subject: '[Vacation] Daily digest: {{porDecidir}} to decide',
+      title: 'Daily Approval Digest',
+      body: '{{#nuevas}}<h3 style="color: #1d1d1f; font-size: 16px;">New Requests</h3>{{nuevas}}{{/nuevas}}' +
+        '{{#conflictos}}<h3 style="color: #ff9500; font-size: 16px;">⚠️ Conflicts to Review</h3>{{conflictos}}{{/conflictos}}' +
+        '{{#antiguas}}<h3 style="color: #1d1d1f; font-size: 16px;">⏰ Pending for {{dias}}+ Days</h3>{{antiguas}}{{/antiguas}}' +
+        '{{#proximas}}<h3 style="color: #1d1d1f; font-size: 16px;">Approved Leave in the Next {{proximosDias}} Days</h3>{{proximas}}{{/proximas}}'
+    }
+  },
+  hr_sync_report: {
+    es: {
+      subject: '{{#aplicado}}[Vacaciones] Sync HR: {{cambios}} saldo(s) actualizado(s){{/aplicado}}{{^aplicado}}[Vacaciones] Vista previa de Sync HR: {{total}} diferencia(s){{/aplicado}}',
+      title: '{{#aplicado}}Informe de sincronización con HR{{/aplicado}}{{^aplicado}}Vista previa de sincronización con HR{{/aplicado}}',
+      body: '<p>{{#aplicado}}La sincronización con el maestro de HR está aplicando{{/aplicado}}{{^aplicado}}Una vista previa de la sincronización con el maestro de HR encontró{{/aplicado}} estas diferencias:</p>' +
+        '{{#listaCambios}}<p><strong>Cambios del saldo de HR ({{cambios}})</strong></p>{{listaCambios}}{{/listaCambios}}' +
+        '{{#listaFaltaHr}}<p><strong>En Empleados pero no en HR ({{faltaHr}})</strong></p>{{listaFaltaHr}}{{/listaFaltaHr}}' +
+        '{{#listaFaltaEmpleados}}<p><strong>En HR pero no en Empleados ({{faltaEmpleados}})</strong></p>{{listaFaltaEmpleados}}{{/listaFaltaEmpleados}}' +
+        '{{#listaInvalidos}}<p><strong>Valores inválidos en HR ({{invalidos}})</strong></p>{{listaInvalidos}}{{/listaInvalidos}}'
+    },
+    en: {
+      subject: '{{#aplicado}}[Vacation] HR sync: {{cambios}} balance(s) updated{{/aplicado}}{{^aplicado}}[Vacation] HR sync preview: {{total}} difference(s){{/aplicado}}',
+      title: '{{#aplicado}}HR Sync Report{{/aplicado}}{{^aplicado}}HR Sync Preview{{/aplicado}}',
+      body: '<p>{{#aplicado}}The HR master sync is updating{{/aplicado}}{{^aplicado}}A preview of the HR master sync found{{/aplicado}} the following differences:</p>' +
+        '{{#listaCambios}}<p><strong>HR entitlement changes ({{cambios}})</strong></p>{{listaCambios}}{{/listaCambios}}' +
+        '{{#listaFaltaHr}}<p><strong>In Empleados but not in HR ({{faltaHr}})</strong></p>{{listaFaltaHr}}{{/listaFaltaHr}}' +
+        '{{#listaFaltaEmpleados}}<p><strong>In HR but not in Empleados ({{faltaEmpleados}})</strong></p>{{listaFaltaEmpleados}}{{/listaFaltaEmpleados}}' +
+        '{{#listaInvalidos}}<p><strong>Invalid values in HR ({{invalidos}})</strong></p>{{listaInvalidos}}{{/listaInvalidos}}'
+    }
+  },
+  team_absence: {
+    es: {
+      subject: '[Vacaciones] {{empleado}} estará ausente {{periodo}}',
+      title: 'Próxima ausencia en el equipo',
+      body: '<p><strong>{{empleado}}</strong> estará ausente <strong>{{periodo}}</strong> ({{tipo}}); empieza en {{faltan}} días.</p>' +
+        '<p>Coordina cualquier traspaso antes de esa fecha.</p>'
+    },
+    en: {
+      subject: '[Vacation] {{empleado}} will be out {{periodo}}',
+      title: 'Upcoming Team Absence',
+      body: '<p><strong>{{empleado}}</strong> will be away from <strong>{{periodo}}</strong> ({{tipo}}), starting in {{faltan}} days.</p>' +
+        '<p>Please coordinate any handover before then.</p>'
+    }
+  }
+};
+
+/**
+ * Fixed wording used around the templates: the layout and the lists the code builds.
+ */
+const EMAIL_STRINGS = {
+  es: {
+    portal: '✈️ Portal de Vacaciones', footer: 'Notificación automática del sistema', viewInPortal: 'Ver en el portal',
+    comments: 'Comentarios', reasonFor: 'motivo de', businessDays: 'días hábiles', by: 'por', waitingDays: 'desde hace {n} días',
+    day: 'Día', out: 'Ausentes', alsoOut: 'También ausentes',
+    approve: 'Aprobar', reject: 'Rechazar', linkHint: 'Los botones abren una página de confirmación; caducan en {n} horas y solo se pueden usar una vez.',
+    more: '…y {n} más (ver la hoja {sheet})', row: 'fila', days: 'días', accrual: 'de acumulación'
+  },
+  en: {
+    portal: '✈️ Vacation Portal', footer: 'Automated System Notification', viewInPortal: 'View in Portal',
+    comments: 'Comments', reasonFor: 'reason for', businessDays: 'business days', by: 'by', waitingDays: 'for {n} days',
+    day: 'Day', out: 'Out', alsoOut: 'Also out',
+    approve: 'Approve', reject: 'Reject', linkHint: 'The buttons open a confirmation page; they expire in {n} hours and work only once.',
+    more: '…and {n} more (see the {sheet} sheet)', row: 'row', days: 'days', accrual: 'accrued'
+  }
+};
+
+// English labels for the Spanish status values stored in Solicitudes
+const STATUS_LABELS_EN = {
+  [ESTADO_PENDIENTE]: 'Pending',
+  [ESTADO_REVISION]: 'Needs Review',
+  [ESTADO_APROBADO]: 'Approved',
+  [ESTADO_EXCEPCION]: 'Approved (Exception)',
+  [ESTADO_RECHAZADO]: 'Rejected',
+  [ESTADO_CANCELADO]: 'Cancelled',
+  [ESTADO_CANCELACION]: 'Cancellation Requested'
+};
+
+/**
+ * Creates the Plantillas sheet (if needed) and adds a row for every built-in template and language
+ * it does not have yet, so the texts can be edited there. Existing rows are left untouched.
+ * Run manually from the editor; edits apply within CACHE_DURATION.
+ */
+function installEmailTemplates() {
+  const ss = _getDb();
+  let sh = ss.getSheetByName(SHEET_PLANTILLAS);
+  if (!sh) {
+    sh = ss.insertSheet(SHEET_PLANTILLAS);
+    sh.getRange(1, 1, 1, 5).setValues([['Plantilla', 'Idioma', 'Asunto', 'Título', 'Cuerpo']]).setFontWeight('bold');
+    sh.setFrozenRows(1);
+  }
+
+  const existing = new Set(sh.getDataRange().getValues().slice(1).map(r => `${String(r[0]).trim()}|${String(r[1]).trim().toLowerCase()}`));
+  const rows = [];
+  Object.keys(EMAIL_TEMPLATES).forEach(name => {
+    EMAIL_LANGUAGES.forEach(lang => {
+      const t = EMAIL_TEMPLATES[name][lang];
+      if (t && !existing.has(`${name}|${lang}`)) rows.push([name, lang, t.subject, t.title, t.body]);
+    });
+  });
+  if (rows.length) sh.getRange(sh.getLastRow() + 1, 1, rows.length, 5).setValues(rows);
+  CacheService.getScriptCache().remove('email_templates');
+  return { added: rows.length };
+}
+
+/**
+ * EMAIL_TEMPLATES with the non-blank cells of the Plantillas sheet applied on top.
+ * Rows naming an unknown template or language are ignored.
+ */
+function getEmailTemplates_() {
+  const cache = CacheService.getScriptCache();
+  const cached = cache.get('email_templates');
+  if (cached) return JSON.parse(cached);
+
+  const templates = JSON.parse(JSON.stringify(EMAIL_TEMPLATES));
+  const sh = _getDb().getSheetByName(SHEET_PLANTILLAS);
+  if (sh && sh.getLastRow() > 1) {
+    sh.getDataRange().getValues().slice(1).forEach(r => {
+      const name = String(r[0] || '').trim();
+      const lang = normalizeLanguage_(r[1]);
+      if (!templates[name] || !lang) return;
+      const t = templates[name][lang] = templates[name][lang] || { subject: '', title: '', body: '' };
+      ['subject', 'title', 'body'].forEach((field, i) => {
+        const value = String(r[i + 2] || '').trim();
+        if (value) t[field] = value;
+      });
+    });
+  }
+
+  cache.put('email_templates', JSON.stringify(templates), CACHE_DURATION);
+  return templates;
+}
+
+/**
+ * Renders a template for one language (falling back to DEFAULT_EMAIL_LANGUAGE, then English).
+ * @return {{subject: string, html: string}}
+ */
+function renderEmail_(name, lang, vars) {
+  const { t, language } = pickTemplate_(name, lang);
+  return {
+    subject: fillTemplate_(t.subject, vars, false),
+    html: createEmailTemplate_(fillTemplate_(t.title, vars, true), fillTemplate_(t.body, vars, true), null, null, language)
+  };
+}
+
+function pickTemplate_(name, lang) {
+  const entry = getEmailTemplates_()[name];
+  if (!entry) throw new Error(`Unknown email template: ${name}`);
+  const language = entry[lang] ? lang : (entry[DEFAULT_EMAIL_LANGUAGE] ? DEFAULT_EMAIL_LANGUAGE : 'en');
+  return { t: entry[language], language };
+}
+
+/**
+ * Substitutes {{name}} placeholders and resolves {{#name}} / {{^name}} sections.
+ * With html, plain values are escaped; rawHtml_ values are inserted as-is (as text in subjects).
+ */
+function fillTemplate_(text, vars, html) {
+  const values = vars || {};
+  const isRaw = v => v !== null && typeof v === 'object' && typeof v.html === 'string';
+  const isSet = v => (isRaw(v) ? v.html : (v === null || v === undefined ? '' : String(v))) !== '';
+  let sections = String(text || '');
+  let previous;
+  do { // Repeat for nested sections
+    previous = sections;
+    sections = sections.replace(/\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g,
+      (match, kind, name, inner) => ((kind === '#') === isSet(values[name]) ? inner : ''));
+  } while (sections !== previous);
+  return sections.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    const v = values[name];
+    if (isRaw(v)) return html ? v.html : v.html.replace(/<[^>]*>/g, '');
+    const str = v === null || v === undefined ? '' : String(v);
+    return html ? escapeHtml_(str) : str;
+  });
+}
+
+/**
+ * Marks HTML built by the code (already escaped) so fillTemplate_ inserts it without escaping.
+ */
+function rawHtml_(html) {
+  return { html: String(html || '') };
+}
+
+/**
+ * Sends a template to each recipient over the channels they chose for its event
+ * (see NOTIFICATION_EVENTS); everyone gets email unless they chose otherwise.
+ * @param {string|string[]} recipients - Emails; the first is the main recipient.
+ * @param {Object|function(string): Object} vars - Variables, or a function of the language returning them.
+ */
+function sendTemplate_(recipients, name, vars) {
+  const list = [].concat(recipients || []).map(e => String(e || '').trim()).filter(Boolean)
+    .filter((e, i, all) => all.findIndex(x => x.toLowerCase() === e.toLowerCase()) === i);
+  if (!list.length) return { success: false, error: 'No recipients' };
+
+  const routes = routeNotification_(list, name, vars);
+  let result = { success: true, error: null };
+  Object.keys(routes).forEach(channel => {
+    let res = NOTIFICATION_CHANNELS[channel](routes[channel], name, vars);
+    // Recipients a chat post failed for get the email instead, unless they get it anyway
+    const fallback = (res.failed || []).filter(e => !(routes.email || []).includes(e));
+    if (channel !== 'email' && fallback.length) res = sendEmailTemplate_(fallback, name, vars);
+    if (!res.success) result = res;
+  });
+  return result;
+}
+
+/**
+ * Email channel: each recipient in their own language. The first recipient of each language
+ * gets it as To and the rest of that language in Cc.
+ */
+function sendEmailTemplate_(list, name, vars) {
+  const languages = getEmailLanguages_();
+  const groups = {};
+  list.forEach(email => {
+    const lang = languages[email.toLowerCase()] || DEFAULT_EMAIL_LANGUAGE;
+    (groups[lang] = groups[lang] || []).push(email);
+  });
+
+  let result = { success: true, error: null };
+  Object.keys(groups).forEach(lang => {
+    const mail = renderEmail_(name, lang, typeof vars === 'function' ? vars(lang) : vars);
+    const res = sendEmailSafe_(groups[lang][0], mail.subject, mail.html, groups[lang].slice(1).join(','));
+    if (!res.success) result = res;
+  });
+  return result;
+}
+
+/**
+ * Email language of every employee with one set: {email: 'es' | 'en'}.
+ */
+function getEmailLanguages_() {
+  const sh = _getDb().getSheetByName(SHEET_EMPLEADOS);
+  if (!sh) return {};
+  const data = sh.getDataRange().getValues();
+  const langIdx = findHeaderIndex_(data[0] || [], ['Idioma', 'Language']);
+  const languages = {};
+  if (langIdx < 0) return languages;
+  for (let i = 1; i < data.length; i++) {
+    const email = String(data[i][1] || '').trim().toLowerCase();
+    const lang = normalizeLanguage_(data[i][langIdx]);
+    if (email && lang) languages[email] = lang;
+  }
+  return languages;
+}
+
+/**
+ * 'es', 'ES', 'Español', 'en-US', 'English'... to a code in EMAIL_LANGUAGES, or '' if unsupported.
+ */
+function normalizeLanguage_(value) {
+  const code = String(value || '').trim().toLowerCase().substring(0, 2);
+  return EMAIL_LANGUAGES.includes(code) ? code : '';
+}
+
+function emailText_(lang, key) {
+  return (EMAIL_STRINGS[lang] || EMAIL_STRINGS[DEFAULT_EMAIL_LANGUAGE])[key];
+}
+
+function leaveTypeLabel_(tipo, lang) {
+  const type = LEAVE_TYPES[normalizeLeaveType_(tipo)];
+  return lang === 'es' ? type.labelEs : type.label;
+}
+
+function statusLabel_(estado, lang) {
+  return lang === 'en' ? (STATUS_LABELS_EN[estado] || estado) : estado;
+}
+
+/* ==========================================================================
+   NOTIFICATION CHANNELS
+   ========================================================================== */
+
+/**
+ * Delivery channels for sendTemplate_. Each receives the recipients that chose it for
+ * the template's event and returns {success, error, failed?: recipients not reached}.
+ */
+const NOTIFICATION_CHANNELS = {
+  email: sendEmailTemplate_,
+  chat: sendChatTemplate_,
+  digest: queueDigestItems_
+};
+
+// Channels users choose per event; 'digest' follows from the approval mode instead (see DIGEST_TEMPLATES)
+const SELECTABLE_CHANNELS = ['email', 'chat'];
+
+// Approval notices that approvers in digest mode get in the daily digest rather than one by one
+const DIGEST_TEMPLATES = ['new_request', 'conflict_coverage', 'conflict_blackout', 'step_approval_needed', 'pending_escalation'];
+const APPROVAL_MODES = ['inmediato', 'resumen']; // ModoAprobaciones column of Notificaciones
+
+// Notices fit for the team's shared chat space: requests to approve and approved absences.
+// Decisions, reasons, comments and personal reminders only go to the person, by email.
+const CHAT_TEMPLATES = ['new_request', 'conflict_coverage', 'conflict_blackout', 'step_approval_needed', 'team_absence'];
+
+/**
+ * Events users pick channels for, each covering a group of EMAIL_TEMPLATES.
+ * Templates not listed here always go by email. approvers: only offered to approvers.
+ * chat: chat may be chosen; it then carries the event's CHAT_TEMPLATES and the rest stay email.
+ */
+const NOTIFICATION_EVENTS = {
+  request_status: {
+    label: 'Mis solicitudes recibidas o en revisión',
+    templates: ['request_received', 'request_review_coverage', 'request_review_blackout']
+  },
+  decision: {
+    label: 'Decisiones y cancelaciones de mis solicitudes',
+    templates: ['request_approved', 'request_rejected', 'request_cancelled', 'decision_summary',
+      'cancellation_declined', 'cancellation_nothing_left', 'leave_shortened', 'leave_cancelled']
+  },
+  approval_needed: {
+    label: 'Solicitudes que esperan mi aprobación',
+    templates: ['new_request', 'conflict_coverage', 'conflict_blackout', 'step_approval_needed', 'cancellation_requested', 'pending_escalation'],
+    approvers: true,
+    chat: true
+  },
+  comment: {
+    label: 'Comentarios',
+    templates: ['comment_to_employee', 'comment_to_approvers']
+  },
+  reminder: {
+    label: 'Recordatorios y ausencias del equipo',
+    templates: ['upcoming_leave', 'team_absence', 'delegation_summary'],
+    chat: true
+  }
+};
+
+const DEFAULT_NOTIFICATION_CHANNELS = ['email'];
+
+// Incoming webhook of the team's chat space (Equipos column); Google Chat and Slack URLs are accepted
+const CHAT_WEBHOOK_COLUMN = 'WebhookChat';
+
+const CHAT_STRINGS = {
+  es: {
+    employee: 'Empleado', dates: 'Fechas', days: 'Días hábiles', conflicts: 'Conflictos', status: 'Estado', openPortal: 'Abrir el portal',
+    conflictNone: '✅ Sin conflictos', conflictCoverage: '⚠️ Límite de cobertura superado',
+    conflictBlackout: '⚠️ Periodo restringido', conflictDuplicate: '⚠️ Solicitud duplicada'
+  },
+  en: {
+    employee: 'Employee', dates: 'Dates', days: 'Business days', conflicts: 'Conflicts', status: 'Status', openPortal: 'Open the portal',
+    conflictNone: '✅ No conflicts', conflictCoverage: '⚠️ Coverage limit exceeded',
+    conflictBlackout: '⚠️ Blackout period', conflictDuplicate: '⚠️ Duplicate request'
+  }
+};
+
+function chatText_(lang, key) {
+  return (CHAT_STRINGS[lang] || CHAT_STRINGS[DEFAULT_EMAIL_LANGUAGE])[key];
+}
+
+function notificationEventOf_(template) {
+  return Object.keys(NOTIFICATION_EVENTS).find(ev => NOTIFICATION_EVENTS[ev].templates.includes(template)) || '';
+}
+
+/**
+ * Splits recipients by channel. Approvers in digest mode get approval notices queued for the
+ * digest. Chat goes to the webhook of the request's team (the equipo variable) or else the
+ * recipient's own team; without one, chat-only recipients get email.
+ * @return {Object<string, string[]>} Channel → recipients.
+ */
+function routeNotification_(list, name, vars) {
+  const event = notificationEventOf_(name);
+  const prefs = event ? readNotificationPreferences_() : {};
+  const team = event ? notificationTeam_(vars) : '';
+  const routes = {};
+  const add = (channel, email) => { (routes[channel] = routes[channel] || []).push(email); };
+
+  list.forEach(email => {
+    const own = prefs[email.toLowerCase()] || { events: {}, approvalMode: APPROVAL_MODES[0] };
+    if (own.approvalMode === 'resumen' && DIGEST_TEMPLATES.includes(name)) return add('digest', email);
+    const chosen = own.events[event] || DEFAULT_NOTIFICATION_CHANNELS;
+    const chat = chosen.includes('chat') && CHAT_TEMPLATES.includes(name) && !!chatWebhookFor_(email, team);
+    if (chat) add('chat', email);
+    if (chosen.includes('email') || !chat) add('email', email);
+  });
+  return routes;
+}
+
+function notificationTeam_(vars) {
+  const sample = (typeof vars === 'function' ? vars(DEFAULT_EMAIL_LANGUAGE) : vars) || {};
+  return String(sample.equipo || '').trim();
+}
+
+/**
+ * @return {{url: string, kind: string}|null} Kind is 'google' or 'slack'.
+ */
+function chatWebhookFor_(email, team) {
+  const fromTeam = team ? parseChatWebhook_(getTeamConfig_(team)[CHAT_WEBHOOK_COLUMN]) : null;
+  if (fromTeam) return fromTeam;
+  const employee = employeesRepo_().findByEmail(email);
+  return employee ? parseChatWebhook_(getTeamConfig_(employee.equipo)[CHAT_WEBHOOK_COLUMN]) : null;
+}
+
+function parseChatWebhook_(value) {
+  const url = String(value || '').trim();
+  if (/^https:\/\/chat\.googleapis\.com\//.test(url)) return { url, kind: 'google' };
+  if (/^https:\/\/hooks\.slack\.com\//.test(url)) return { url, kind: 'slack' };
+  if (url) console.warn('Ignoring chat webhook that is not a Google Chat or Slack URL:', url);
+  return null;
+}
+
+/**
+ * Chat channel: one card per webhook, in the language of its first recipient, however many
+ * recipients share the space. Recipients of a failed post are returned in `failed`.
+ */
+function sendChatTemplate_(list, name, vars) {
+  const languages = getEmailLanguages_();
+  const team = notificationTeam_(vars);
+  const groups = {};
+  list.forEach(email => {
+    const hook = chatWebhookFor_(email, team);
+    if (!groups[hook.url]) groups[hook.url] = { hook, lang: languages[email.toLowerCase()] || DEFAULT_EMAIL_LANGUAGE, recipients: [] };
+    groups[hook.url].recipients.push(email);
+  });
+
+  const result = { success: true, error: null, failed: [] };
+  Object.keys(groups).forEach(url => {
+    const group = groups[url];
+    const card = buildChatCard_(name, group.lang, typeof vars === 'function' ? vars(group.lang) : vars);
+    const res = postChatMessage_(group.hook, card, group.recipients);
+    if (res.success) return;
+    result.success = false;
+    result.error = res.error;
+    result.failed = result.failed.concat(group.recipients);
+  });
+  return result;
+}
+
+/**
+ * Compact card: the template title, then employee, dates, days and conflict status when the
+ * event is about one request, or else the body as plain text; always a link to the portal.
+ * @return {{title: string, fields: Array<{label: string, value: string}>, text: string, url: string, linkText: string}}
+ */
+function buildChatCard_(name, lang, vars) {
+  const { t, language } = pickTemplate_(name, lang);
+  const v = vars || {};
+  const fields = [];
+  const field = (key, value) => { if (value !== undefined && value !== null && value !== '') fields.push({ label: chatText_(language, key), value: String(value) }); };
+  if (v.empleado) {
+    field('employee', `${v.empleado}${v.equipo && v.equipo !== '—' ? ` (${v.equipo})` : ''}`);
+    field('dates', v.periodo);
+    field('days', v.dias);
+    field('conflicts', v.conflicto);
+    field('status', v.estado);
+  }
+
+  return {
+    title: fillTemplate_(t.title, vars, false),
+    fields,
+    text: fields.length ? '' : htmlToText_(fillTemplate_(t.body, vars, true)).substring(0, 1000),
+    url: ScriptApp.getService().getUrl(),
+    linkText: chatText_(language, 'openPortal')
+  };
+}
+
+function htmlToText_(html) {
+  return String(html || '')
+    .replace(/<(br|\/p|\/li|\/tr|\/h\d)[^>]*>/gi, '\n').replace(/<[^>]*>/g, '')
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&')
+    .replace(/[ \t]+/g, ' ').replace(/\n\s*\n+/g, '\n').trim();
+}
+
+/**
+ * Posts through the outbox. A failed post is not retried: the caller emails its recipients instead.
+ */
+function postChatMessage_(hook, card, recipients) {
+  const message = hook.kind === 'slack' ? slackMessage_(card) : googleChatMessage_(card);
+  return sendViaOutbox_('chat', recipients, card.title, { url: hook.url, message }, true);
+}
+
+function deliverChatPost_(payload) {
+  const res = getHttpService_().fetch(payload.url, {
+    method: 'post',
+    contentType: 'application/json; charset=UTF-8',
+    payload: JSON.stringify(payload.message),
+    muteHttpExceptions: true
+  });
+  const code = res.getResponseCode();
+  if (code < 200 || code >= 300) {
+    console.warn(`Chat webhook returned HTTP ${code}:`, res.getContentText());
+    throw new Error(`Chat webhook returned HTTP ${code}`);
+  }
+}
+
+function googleChatMessage_(card) {
+  const widgets = card.fields.map(f => ({ decoratedText: { topLabel: f.label, text: escapeHtml_(f.value) } }));
+  if (card.text) widgets.push({ textParagraph: { text: escapeHtml_(card.text).replace(/\n/g, '<br>') } });
+  widgets.push({ buttonList: { buttons: [{ text: card.linkText, onClick: { openLink: { url: card.url } } }] } });
+  return {
+    text: card.title,
+    cardsV2: [{ cardId: 'notification', card: { header: { title: card.title }, sections: [{ widgets }] } }]
+  };
+}
+
+function slackMessage_(card) {
+  const esc = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const blocks = [{ type: 'section', text: { type: 'mrkdwn', text: `*${esc(card.title)}*` } }];
+  if (card.fields.length) blocks.push({ type: 'section', fields: card.fields.map(f => ({ type: 'mrkdwn', text: `*${esc(f.label)}*\n${esc(f.value)}` })) });
+  if (card.text) blocks.push({ type: 'section', text: { type: 'mrkdwn', text: esc(card.text) } });
+  blocks.push({ type: 'actions', elements: [{ type: 'button', text: { type: 'plain_text', text: card.linkText }, url: card.url }] });
+  return { text: card.title, blocks };
+}
+
+/**
+ * Notificaciones sheet: Usuario, then one column per NOTIFICATION_EVENTS key holding the
+ * chosen channels ("email", "chat" or "email, chat"), ModoAprobaciones (APPROVAL_MODES), then Actualizado.
+ */
+function getNotificationSheet_() {
+  const ss = _getDb();
+  let sh = ss.getSheetByName(SHEET_NOTIFICACIONES);
+  if (!sh) {
+    sh = ss.insertSheet(SHEET_NOTIFICACIONES);
+    const headers = ['Usuario'].concat(Object.keys(NOTIFICATION_EVENTS), ['ModoAprobaciones', 'Actualizado']);
+    sh.appendRow(headers);
+    sh.getRange(1, 1, 1, headers.length).setFontWeight('bold').setBackground('#f0f0f0');
+  }
+  return sh;
+}
+
+/**
+ * @return {Object<string, {events: Object<string, string[]>, approvalMode: string}>} By email;
+ *   events left blank are omitted and approvalMode is one of APPROVAL_MODES.
+ */
+function readNotificationPreferences_() {
+  const sh = _getDb().getSheetByName(SHEET_NOTIFICACIONES);
+  if (!sh || sh.getLastRow() < 2) return {};
+  const data = sh.getDataRange().getValues();
+  const headers = data[0].map(h => String(h || '').trim());
+  const prefs = {};
+  for (let i = 1; i < data.length; i++) {
+    const email = String(data[i][0] || '').trim().toLowerCase();
+    if (!email) continue;
+    const entry = prefs[email] = { events: {}, approvalMode: APPROVAL_MODES[0] };
+    headers.forEach((h, idx) => {
+      if (h === 'ModoAprobaciones') {
+        const mode = String(data[i][idx] || '').trim().toLowerCase();
+        if (APPROVAL_MODES.includes(mode)) entry.approvalMode = mode;
+      }
+      if (!NOTIFICATION_EVENTS[h]) return;
+      const channels = parseChannels_(data[i][idx]);
+      if (channels.length) entry.events[h] = channels;
+    });
+  }
+  return prefs;
+}
+
+// A choice of chat alone for an event that no longer allows it reads as email
+function emailOnlyFallback_(channels) {
+  return channels.length ? channels : DEFAULT_NOTIFICATION_CHANNELS.slice();
+}
+
+function parseChannels_(value) {
+  const names = [].concat(value || []).join(',').split(/[,;\s]+/).map(c => c.trim().toLowerCase());
+  return SELECTABLE_CHANNELS.filter(c => names.includes(c));
+}
+
+/**
+ * Writes one user's row, adding columns the sheet does not have yet.
+ * @param {Object<string, string[]>} choices - Event → channels.
+ * @param {string=} approvalMode - One of APPROVAL_MODES; omitted keeps the current mode.
+ */
+function writeNotificationPreferences_(email, choices, approvalMode) {
+  const sh = getNotificationSheet_();
+  const headers = sh.getRange(1, 1, 1, sh.getLastColumn()).getValues()[0].map(h => String(h || '').trim());
+  Object.keys(choices).concat(approvalMode ? ['ModoAprobaciones'] : []).forEach(column => {
+    if (headers.includes(column)) return;
+    headers.push(column);
+    sh.getRange(1, headers.length).setValue(column).setFontWeight('bold').setBackground('#f0f0f0');
+  });
+
+  const key = email.toLowerCase();
+  const emails = sh.getLastRow() > 1 ? sh.getRange(2, 1, sh.getLastRow() - 1, 1).getValues().map(r => String(r[0]).trim().toLowerCase()) : [];
+  const idx = emails.indexOf(key);
+  const row = idx > -1 ? idx + 2 : sh.getLastRow() + 1;
+  const values = idx > -1 ? sh.getRange(row, 1, 1, headers.length).getValues()[0] : headers.map(() => '');
+  values[0] = key;
+  headers.forEach((h, i) => {
+    if (choices[h]) values[i] = choices[h].join(', ');
+    if (h === 'ModoAprobaciones' && approvalMode) values[i] = approvalMode;
+    if (h === 'Actualizado') values[i] = new Date();
+  });
+  sh.getRange(row, 1, 1, headers.length).setValues([values]);
+}
+
+/**
+ * Events offered to a user, with their current channels. approvalMode is only given to approvers.
+ * @return {{chatAvailable: boolean, approvalMode: (string|undefined), events: Array<{event: string, label: string, channels: string[]}>}}
+ */
+function describeNotificationPreferences_(email) {
+  const approver = isApprover_(email);
+  const own = readNotificationPreferences_()[email.toLowerCase()] || { events: {}, approvalMode: APPROVAL_MODES[0] };
+  const employee = employeesRepo_().findByEmail(email);
+  const teams = getTeamsConfig_();
+  const chatAvailable = !!(employee && chatWebhookFor_(email, employee.equipo)) ||
+    (approver && Object.keys(teams).some(t => parseChatWebhook_(teams[t][CHAT_WEBHOOK_COLUMN])));
+  return {
+    chatAvailable,
+    approvalMode: approver ? own.approvalMode : undefined,
+    events: Object.keys(NOTIFICATION_EVENTS)
+      .filter(ev => approver || !NOTIFICATION_EVENTS[ev].approvers)
+      .map(ev => ({
+        event: ev,
+        label: NOTIFICATION_EVENTS[ev].label,
+        chatAllowed: !!NOTIFICATION_EVENTS[ev].chat,
+        channels: emailOnlyFallback_((own.events[ev] || DEFAULT_NOTIFICATION_CHANNELS).filter(c => c !== 'chat' || NOTIFICATION_EVENTS[ev].chat))
+      }))
+  };
+}
+
+/* ==========================================================================
+   NOTIFICATION OUTBOX
+   ========================================================================== */
+
+/**
+ * Senders by outbox channel. Each takes the stored payload and throws when the send fails.
+ */
+const OUTBOX_SENDERS = {
+  email: deliverEmail_,
+  chat: deliverChatPost_
+};
+
+const OUTBOX_HEADERS = ['ID', 'Creado', 'Canal', 'Destinatarios', 'Asunto', 'Contenido', 'Estado', 'Intentos', 'Próximo Intento', 'Último Error', 'Actualizado'];
+
+/**
+ * Writes the item to the outbox, then tries to send it once.
+ * The row is written first and only falls due after OUTBOX_RETRY_MINUTES: a send cut short
+ * by the execution limit is still delivered, and runOutboxJob never picks up a send in progress.
+ * @param {boolean} replaceOnFailure - The caller sends something else on failure, so do not retry.
+ * @return {{success: boolean, error: ?string, queued?: boolean}}
+ */
+function sendViaOutbox_(channel, recipients, subject, payload, replaceOnFailure) {
+  const now = new Date();
+  const item = { id: Utilities.getUuid(), channel, recipients: recipients.join(', '), subject, payload, attempts: 0 };
+  let sh = null;
+  try {
+    sh = getOutboxSheet_();
+    sh.appendRow([item.id, now, channel, item.recipients, subject, JSON.stringify(payload), OUTBOX_PENDIENTE, 0,
+      new Date(now.getTime() + OUTBOX_RETRY_MINUTES * 60000), '', now]);
+  } catch (e) {
+    console.warn('Outbox unavailable, sending without it', e);
+    sh = null;
+  }
+
+  const quota = { email: channel === 'email' ? getMailService_().getRemainingDailyQuota() : 0 };
+  let res = attemptOutboxItem_(item, quota);
+  if (res.state === OUTBOX_ENVIADO) {
+    if (sh) writeOutboxState_(sh, findOutboxRow_(sh, item.id), res);
+    return { success: true, error: null };
+  }
+  if (replaceOnFailure) res = { ...res, state: OUTBOX_REEMPLAZADO, next: '' };
+  if (!sh) return { success: false, error: res.error };
+  writeOutboxState_(sh, findOutboxRow_(sh, item.id), res);
+  return res.state === OUTBOX_PENDIENTE ? { success: true, error: res.error, queued: true } : { success: false, error: res.error };
+}
+
+/**
+ * One send. Email is held back, without counting an attempt, when the daily quota cannot
+ * cover all its recipients; quota.email is what is left and goes down as mail is sent.
+ * @return {{state: string, attempts: number, next: (Date|string), error: string}}
+ */
+function attemptOutboxItem_(item, quota) {
+  const now = new Date();
+  const later = minutes => new Date(now.getTime() + minutes * 60000);
+  const needed = item.channel === 'email' ? item.recipients.split(',').length : 0;
+  if (needed > quota.email) {
+    return { state: OUTBOX_PENDIENTE, attempts: item.attempts, next: later(OUTBOX_RETRY_MINUTES), error: 'Daily email quota exhausted' };
+  }
+
+  try {
+    const send = OUTBOX_SENDERS[item.channel];
+    if (!send) throw new Error(`Unknown outbox channel: ${item.channel}`);
+    send(item.payload);
+    quota.email -= needed;
+    return { state: OUTBOX_ENVIADO, attempts: item.attempts + 1, next: '', error: '' };
+  } catch (e) {
+    console.warn(`Outbox ${item.channel} send failed to ${item.recipients}`, e);
+    const attempts = item.attempts + 1;
+    if (attempts >= OUTBOX_MAX_ATTEMPTS) return { state: OUTBOX_FALLIDO, attempts, next: '', error: e.message };
+    return { state: OUTBOX_PENDIENTE, attempts, next: later(OUTBOX_RETRY_MINUTES * Math.pow(2, attempts - 1)), error: e.message };
+  }
+}
+
+/**
+ * Trigger (every OUTBOX_JOB_MINUTES). Sends up to OUTBOX_BATCH due items, oldest first,
+ * then removes items delivered more than OUTBOX_KEEP_DAYS ago.
+ */
+function runOutboxJob() {
+  const lock = LockService.getScriptLock();
+  try { lock.waitLock(30000); } catch (e) { console.warn('Outbox job skipped: server busy.'); return null; }
+
+  try {
+    const now = new Date();
+    const outbox = readOutbox_();
+    const due = outbox.items
+      .filter(item => item.state === OUTBOX_PENDIENTE && !(item.next > now))
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .slice(0, OUTBOX_BATCH);
+
+    const counts = { sent: 0, retrying: 0, failed: 0, pruned: 0 };
+    const quota = { email: getMailService_().getRemainingDailyQuota() };
+    due.forEach(item => {
+      const res = attemptOutboxItem_(item, quota);
+      writeOutboxState_(outbox.sheet, item.row, res);
+      if (res.state === OUTBOX_ENVIADO) counts.sent++;
+      else if (res.state === OUTBOX_FALLIDO) counts.failed++;
+      else counts.retrying++;
+    });
+
+    counts.pruned = pruneOutbox_(outbox.sheet, new Date(now.getTime() - OUTBOX_KEEP_DAYS * 86400000));
+    if (counts.sent || counts.failed || counts.pruned) logAudit_('OUTBOX_JOB', counts, 'system');
+    return counts;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function getOutboxSheet_() {
+  const ss = _getDb();
+  let sh = ss.getSheetByName(SHEET_BANDEJA_SALIDA);
+  if (!sh) {
+    sh = ss.insertSheet(SHEET_BANDEJA_SALIDA);
+    sh.appendRow(OUTBOX_HEADERS);
+    sh.getRange(1, 1, 1, OUTBOX_HEADERS.length).setFontWeight('bold').setBackground('#f0f0f0');
+  }
+  return sh;
+}
+
+/**
+ * Every outbox item with its sheet row. A payload that no longer parses is sent as null
+ * and fails like any other send.
+ */
+function readOutbox_() {
+  const sh = getOutboxSheet_();
+  const last = sh.getLastRow();
+  const data = last > 1 ? sh.getRange(2, 1, last - 1, OUTBOX_HEADERS.length).getValues() : [];
+  const items = data.map((r, i) => {
+    let payload = null;
+    try { payload = JSON.parse(r[5]); } catch (e) { /* left null */ }
+    return {
+      row: i + 2, id: String(r[0]), createdAt: r[1], channel: String(r[2]), recipients: String(r[3]), subject: String(r[4]),
+      payload, state: String(r[6]), attempts: Number(r[7]) || 0, next: r[8], error: String(r[9] || ''), updatedAt: r[10]
+    };
+  });
+  return { sheet: sh, items };
+}
+
+function writeOutboxState_(sh, row, res) {
+  if (row < 2) return;
+  sh.getRange(row, 7, 1, 5).setValues([[res.state, res.attempts, res.next, res.error, new Date()]]);
+}
+
+/**
+ * Row of an item, looked up by ID because pruning may move rows. Recent items are near the end.
+ */
+function findOutboxRow_(sh, id) {
+  const last = sh.getLastRow();
+  if (last < 2) return -1;
+  if (String(sh.getRange(last, 1).getValue()) === id) return last;
+  const ids = sh.getRange(2, 1, last - 1, 1).getValues();
+  for (let i = ids.length - 1; i >= 0; i--) {
+    if (String(ids[i][0]) === id) return i + 2;
+  }
+  return -1;
+}
+
+/**
+ * Removes items delivered (or replaced) before the cutoff. Pending and dead letters stay.
+ * @return {number} Items removed.
+ */
+function pruneOutbox_(sh, cutoff) {
+  const last = sh.getLastRow();
+  if (last < 2) return 0;
+  const data = sh.getRange(2, 1, last - 1, OUTBOX_HEADERS.length).getValues();
+  const done = [OUTBOX_ENVIADO, OUTBOX_REEMPLAZADO];
+  const kept = data.filter(r => !(done.includes(r[6]) && r[10] && new Date(r[10]) < cutoff));
+  if (kept.length === data.length) return 0;
+  sh.getRange(2, 1, data.length, OUTBOX_HEADERS.length).clearContent();
+  if (kept.length) sh.getRange(2, 1, kept.length, OUTBOX_HEADERS.length).setValues(kept);
+  return data.length - kept.length;
+}
+
+/* ==========================================================================
+   PRIVATE HELPERS
+   ========================================================================== */
+
+/**
+ * Generic responsive HTML layout. Title and body are inserted as HTML (see fillTemplate_);
+ * lang picks the header and footer wording (English when omitted).
+ */
+function createEmailTemplate_(title, body, actionUrl, actionText, lang) {
+  const text = EMAIL_STRINGS[lang] || EMAIL_STRINGS.en;
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head><meta charset="UTF-8"></head>
+    <body style="margin: 0; padding: 0; font-family: -apple-system, sans-serif; background-color: #f5f5f7;">
+      <table width="100%" cellpadding="0" cellspacing="0" style="padding: 40px 20px;">
+        <tr><td align="center">
+          <table width="600" cellpadding="0" cellspacing="0" style="background-color: white; border-radius: 16px; overflow: hidden; box-shadow: 0 4px 12px rgba(0,0,0,0.05);">
+            <tr><td style="background: linear-gradient(135deg, #0071e3 0%, #00c6ff 100%); padding: 32px; text-align: center;">
+              <h1 style="color: white; margin: 0; font-size: 24px;">${text.portal}</h1>
+            </td></tr>
+            <tr><td style="padding: 40px 32px;">
+              <h2 style="color: #1d1d1f; margin-top: 0;">${title}</h2>
+              <div style="color: #4a4a4a; line-height: 1.6;">${body}</div>
+              ${actionUrl ? `<div style="margin-top: 30px; text-align: center;"><a href="${actionUrl}" style="background-color: #0071e3; color: white; padding: 12px 24px; text-decoration: none; border-radius: 8px;">${actionText || text.viewInPortal}</a></div>` : ''}
+            </td></tr>
+            <tr><td style="background: #f5f5f7; padding: 24px; text-align: center; color: #86868b; font-size: 12px;">
+              ${text.footer}
+            </td></tr>
+          </table>
+        </td></tr>
+      </table>
+    </body>
+    </html>
+  `;
+}
+
+function escapeHtml_(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * Sends through the outbox. A send that fails or finds the daily quota spent stays queued and
+ * is retried by runOutboxJob, so it still counts as success (with queued: true).
+ */
+function sendEmailSafe_(to, subject, htmlBody, cc) {
+  return sendViaOutbox_('email', [to].concat(parseEmailList_(cc)), subject, { to, subject, htmlBody, cc: cc || '' }, false);
+}
+
+function deliverEmail_(payload) {
+  const options = { htmlBody: payload.htmlBody };
+  if (payload.cc) options.cc = payload.cc;
+  getMailService_().sendEmail(payload.to, payload.subject, '', options);
+}
+
+function parseDateToNoon_(dateStr) {
+  if (!dateStr) return null;
+  if (dateStr instanceof Date) {
+    const d = new Date(dateStr);
+    d.setHours(12, 0, 0, 0);
+    return d;
+  }
+  const parts = String(dateStr).split('-');
+  if (parts.length < 3) return new Date(dateStr); 
+  const y = parseInt(parts[0], 10);
+  const m = parseInt(parts[1], 10) - 1;
+  const d = parseInt(parts[2].substring(0, 2), 10);
+  return new Date(y, m, d, 12, 0, 0);
+}
+
+function _buscarNombrePorEmail(email) {
+  const emp = employeesRepo_().findByEmail(email);
+  return emp ? emp.nombre : email;
+}
+
+/**
+ * Balance of one leave type for an employee (vacation by default).
+ * @return {{total: number, usados: number, remaining: number, tracked: boolean, row: number}}
+ */
+function getEmployeeTotals_(empleadoOrEmail, tipo) {
+  const empty = { total: 0, usados: 0, remaining: 0, tracked: true, row: -1 };
+  const ss = _getDb(); 
+  const shE = ss.getSheetByName(SHEET_EMPLEADOS);
+  if (!shE) return empty;
+  
+  const last = shE.getLastRow();
+  if (last < 2) return empty;
+
+  const data = shE.getDataRange().getValues();
+  const leaveType = normalizeLeaveType_(tipo);
+  const search = String(empleadoOrEmail || '').trim().toLowerCase();
+  
+  for (let i = 1; i < data.length; i++) {
+    const emp = String(data[i][0] || '').trim().toLowerCase();
+    const email = String(data[i][1] || '').trim().toLowerCase();
+    
+    if (emp === search || email === search) {
+      const balance = readLeaveBalances_(data[0], data[i])[leaveType];
+      return { total: balance.total, usados: balance.usados, remaining: balance.remaining, tracked: balance.tracked, row: i + 1 };
+    }
+  }
+  return empty;
+}
+
+/**
+ * Reads every leave type balance from an Empleados row.
+ * @return {Object<string, {total: number, usados: number, remaining: number, tracked: boolean}>}
+ */
+function readLeaveBalances_(headers, row) {
+  const balances = {};
+  Object.keys(LEAVE_TYPES).forEach(tipo => {
+    const def = LEAVE_TYPES[tipo];
+    if (tipo === DEFAULT_LEAVE_TYPE) {
+      // Assuming standard columns if dynamic search fails
+      const saldoHR = Number(row[3] || 0);
+      const usados = Number(row[4] || 0);
+      const saldoVacacionesIdx = vacationRemainingIdx_(headers, row);
+      const remaining = saldoVacacionesIdx > -1 ? Number(row[saldoVacacionesIdx] || 0) : saldoHR - usados;
+      balances[tipo] = { total: saldoHR, usados, remaining, tracked: true };
+      return;
+    }
+    const totalIdx = def.balance && def.totalHeader ? findHeaderIndex_(headers, [def.totalHeader]) : -1;
+    const usedIdx = def.usedHeader ? findHeaderIndex_(headers, [def.usedHeader]) : -1;
+    const usados = usedIdx > -1 ? Number(row[usedIdx] || 0) : 0;
+    if (totalIdx < 0) {
+      balances[tipo] = { total: 0, usados, remaining: 0, tracked: false };
+      return;
+    }
+    const total = Number(row[totalIdx] || 0);
+    balances[tipo] = { total, usados, remaining: total - usados, tracked: true };
+  });
+  return balances;
+}
+
+/**
+ * Column holding the remaining vacation balance: the SaldoVacaciones header wherever it is,
+ * otherwise the original positional column F — unless F has been taken by one of the
+ * columns read by header (País, FechaIngreso, Idioma, other leave types). -1 means compute SaldoHR - Usados.
+ */
+function vacationRemainingIdx_(headers, row) {
+  const named = findHeaderIndex_(headers, ['SaldoVacaciones']);
+  if (named > -1) return named;
+  if (row.length <= COL_EMP_SALDO_VACACIONES) return -1;
+  const header = String(headers[COL_EMP_SALDO_VACACIONES] || '').trim();
+  return header && findHeaderIndex_([header], employeeNamedHeaders_()) > -1 ? -1 : COL_EMP_SALDO_VACACIONES;
+}
+
+/** Empleados headers that are located by name, so they never count as the positional balance column. */
+function employeeNamedHeaders_() {
+  const names = ['País', 'Pais', 'Country', 'FechaIngreso', 'Fecha Ingreso', 'HireDate', 'Idioma', 'Language'];
+  Object.keys(LEAVE_TYPES).forEach(tipo => {
+    const def = LEAVE_TYPES[tipo];
+    if (def.totalHeader) names.push(def.totalHeader);
+    if (def.usedHeader) names.push(def.usedHeader);
+  });
+  return names;
+}
+
+function normalizeLeaveType_(tipo) {
+  const value = String(tipo || '').trim().toLowerCase();
+  if (!value) return DEFAULT_LEAVE_TYPE;
+  return Object.keys(LEAVE_TYPES).find(k => k.toLowerCase() === value) || DEFAULT_LEAVE_TYPE;
+}
+
+/**
+ * @throws {Error} If the leave type is not one of LEAVE_TYPES.
+ */
+function assertLeaveType_(tipo) {
+  if (!tipo) return DEFAULT_LEAVE_TYPE;
+  const value = String(tipo).trim().toLowerCase();
+  const match = Object.keys(LEAVE_TYPES).find(k => k.toLowerCase() === value);
+  if (!match) throw new Error(`Unknown leave type: ${tipo}`);
+  return match;
+}
+
+function getCalendar_() {
+  const calendarApp = getCalendarService_();
+  const cals = calendarApp.getCalendarsByName(CALENDAR_NAME);
+  return cals.length ? cals[0] : calendarApp.createCalendar(CALENDAR_NAME);
+}
+
+function normalizeDate_(d) { 
+  const date = new Date(d); date.setHours(0, 0, 0, 0); return date;
+}
+
+/**
+ * Counts working days between two dates (inclusive).
+ * @param {Set<string>=} holidays - Optional yyyy-MM-dd keys to skip (see getHolidaySetFor_).
+ */
+function countBusinessDays_(start, end, holidays) {
   if (!start || !end) return 0;
   const s = normalizeDate_(start); 
   const e = normalizeDate_(end);
@@ -712,12 +5118,95 @@ function countBusinessDays_(start, end) {
   let cur = new Date(s); let count = 0;
   while (cur <= e) {
     const day = cur.getDay();
-    if (day !== 0 && day !== 6) count++;
+    if (day !== 0 && day !== 6 && !(holidays && holidays.has(dateKey_(cur)))) count++;
     cur.setDate(cur.getDate() + 1);
   }
   return count;
 }
 
+/**
+ * Business days for a request, taking half days into account.
+ * A half day only reduces the count when it falls on a working day.
+ */
+function countRequestDays_(start, end, holidays, medioInicio, medioFin) {
+  const dias = countBusinessDays_(start, end, holidays);
+  if (!medioInicio && !medioFin) return dias;
+  if (dateKey_(start) === dateKey_(end)) return dias ? 0.5 : 0;
+  
+  let result = dias;
+  if (medioInicio && countBusinessDays_(start, start, holidays)) result -= 0.5;
+  if (medioFin && countBusinessDays_(end, end, holidays)) result -= 0.5;
+  return result;
+}
+
+/**
+ * Validates half-day options and returns the values to store.
+ * Multi-day requests may only start in the afternoon and/or end at midday.
+ * Single-day requests store the chosen half in both columns.
+ * @param {{start: string, end: string}=} halfDay
+ * @return {{start: string, end: string}}
+ */
+function normalizeHalfDay_(startObj, endObj, halfDay) {
+  const h = halfDay || {};
+  const start = String(h.start || '').trim().toUpperCase();
+  const end = String(h.end || '').trim().toUpperCase();
+  [start, end].forEach(v => {
+    if (v && !HALF_DAY_VALUES.includes(v)) throw new Error(`Invalid half-day value: ${v}`);
+  });
+
+  if (!startObj || !endObj) return { start: '', end: '' };
+  if (dateKey_(startObj) === dateKey_(endObj)) {
+    if (start && end && start !== end) return { start: '', end: '' }; // AM + PM = full day
+    const half = start || end;
+    return { start: half, end: half };
+  }
+  if (start === 'AM') throw new Error('A multi-day request can only start in the afternoon (PM).');
+  if (end === 'PM') throw new Error('A multi-day request can only end at midday (AM).');
+  return { start, end };
+}
+
+function readHalfDay_(sheet, row) {
+  const vals = sheet.getRange(row, COL_MEDIO_INICIO, 1, 2).getValues()[0];
+  return { start: String(vals[0] || '').toUpperCase(), end: String(vals[1] || '').toUpperCase() };
+}
+
+/**
+ * Time span (ms) actually covered by a request, so that an AM and a PM half day
+ * on the same date do not count as overlapping.
+ */
+function halfDaySpan_(start, end, medioInicio, medioFin) {
+  const HALF = 12 * 60 * 60 * 1000;
+  const from = normalizeDate_(start).getTime() + (medioInicio === 'PM' ? HALF : 0);
+  const to = normalizeDate_(end).getTime() + (medioFin === 'AM' ? HALF : 2 * HALF) - 1;
+  return { from, to };
+}
+
+function fmtPeriod_(start, end, medioInicio, medioFin) {
+  const s = fmtDate_(start) + (medioInicio ? ` (${medioInicio})` : '');
+  if (dateKey_(start) === dateKey_(end)) return s;
+  return `${s} - ${fmtDate_(end)}${medioFin ? ` (${medioFin})` : ''}`;
+}
+
+function dateKey_(d) {
+  const date = normalizeDate_(d);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function isTruthyCell_(value) {
+  if (value === true) return true;
+  const v = String(value || '').trim().toLowerCase();
+  return ['sí', 'si', 'yes', 'true', 'x', '1'].includes(v);
+}
+
+function findHeaderIndex_(headers, names) {
+  const normalized = headers.map(h => String(h || '').trim().toLowerCase());
+  for (const name of names) {
+    const idx = normalized.indexOf(name.toLowerCase());
+    if (idx > -1) return idx;
+  }
+  return -1;
+}
+
 function fmtDate_(d) { 
   const tz = Session.getScriptTimeZone(); 
   return Utilities.formatDate(new Date(d), tz, 'dd/MM/yyyy');
@@ -734,28 +5223,15 @@ function getManagerEmails_() {
   const cached = cache.get('manager_emails');
   if (cached) return JSON.parse(cached);
   
-  const ss = _getDb();
-  const sh = ss.getSheetByName(SHEET_MANAGERS);
-  if (!sh || sh.getLastRow() < 2) return [];
-  
-  const vals = sh.getRange(2, 1, sh.getLastRow() - 1, 1).getValues(); 
-  const uniq = {};
-  const managers = vals.map(r => String(r[0]).trim()).filter(x => x && (uniq[x] ? false : (uniq[x] = true)));
+  const managers = managersRepo_().emails();
+  if (!managers.length) return [];
   
   cache.put('manager_emails', JSON.stringify(managers), CACHE_DURATION);
   return managers;
 }
 
-function notifyManagersCompact_(subject, htmlBody) {
-  const managers = getManagerEmails_();
-  if (!managers.length) return { success: false, error: "No managers found" };
-  const to = managers[0];
-  const cc = managers.slice(1).join(',');
-  return sendEmailSafe_(to, subject, htmlBody, cc);
-}
-
-function handleEstadoChange_(sheet, row, prevEstado) {
-  const cal = getCalendar_();
+function handleEstadoChange_(sheet, row, prevEstado, notify) {
+  const sendNotice = notify !== false;
   const email = sheet.getRange(row, 2).getValue();
   const empleado = sheet.getRange(row, 3).getValue();
   const start = sheet.getRange(row, 4).getValue();
@@ -763,41 +5239,98 @@ function handleEstadoChange_(sheet, row, prevEstado) {
   const estado = sheet.getRange(row, 6).getValue();
   const idCell = sheet.getRange(row, 8);
   const eventId = idCell.getValue();
+  const tipo = sheet.getRange(row, COL_TIPO).getValue();
+  const vars = lang => ({
+    empleado,
+    tipo: leaveTypeLabel_(tipo, lang),
+    periodo: fmtPeriod_(start, end),
+    dias: sheet.getRange(row, 7).getValue(),
+    estado: statusLabel_(estado, lang),
+    comentarios: rawHtml_(commentsHtml_(commentsRepo_().forRequest(sheet.getRange(row, COL_ID).getValue()), lang))
+  });
 
-  // Create or Update Calendar Event
+  // Create or Update Calendar Event. The new Estado is already written, so a Calendar
+  // failure is recorded and left to runCalendarReconciliation instead of failing the change.
   if (estado === 'Aprobado' || estado === 'Aprobado (Excepción)') {
-    const title = estado === 'Aprobado (Excepción)' ? `Vacations (EXCEPTION): ${empleado}` : `Vacations: ${empleado}`;
-    const s = normalizeDate_(start);
-    const e = new Date(normalizeDate_(end).getTime()); e.setDate(e.getDate() + 1);
-
-    let ev = eventId ? cal.getEventById(String(eventId)) : null;
-    if (ev) {
-      ev.setTitle(title); ev.setAllDayDates(s, e);
-    } else {
-      ev = cal.createAllDayEvent(title, s, e);
-      idCell.setValue(ev.getId());
-    }
+    try {
+      const cal = getCalendar_();
+      const expected = leaveEventFor_(requestsRepo_().findByRow(row));
+      let ev = eventId ? cal.getEventById(String(eventId)) : null;
+      if (ev) {
+        ev.setTitle(expected.title); ev.setAllDayDates(expected.start, expected.end);
+      } else {
+        ev = cal.createAllDayEvent(expected.title, expected.start, expected.end);
+        idCell.setValue(ev.getId());
+      }
+    } catch (e) { recordCalendarWriteFailure_(sheet.getRange(row, COL_ID).getValue(), eventId ? 'update' : 'create', e); }
     
     // Notify Approval
-    if (email) {
-       sendEmailSafe_(email, 'Vacation Approved ✅', createEmailTemplate_('Approved', 'Your vacation request has been approved. Enjoy!'));
+    if (email && sendNotice) {
+       sendTemplate_(email, 'request_approved', vars);
     }
   } else {
     // Cleanup if Rejected/Cancelled
     if (eventId) { 
       try { 
-        const ev = cal.getEventById(String(eventId));
+        const ev = getCalendar_().getEventById(String(eventId));
         if (ev) ev.deleteEvent(); 
         idCell.clearContent(); 
-      } catch(e) { console.warn('Event cleanup error', e); }
+      } catch(e) { recordCalendarWriteFailure_(sheet.getRange(row, COL_ID).getValue(), 'delete', e); }
     }
     // Notify Rejection/Cancellation
-    if (email && estado !== 'Pendiente' && estado !== 'Necesita Revisión') {
-       sendEmailSafe_(email, `Request ${estado}`, createEmailTemplate_(`Request ${estado}`, `The status of your request has been updated to: ${estado}`));
+    if (email && sendNotice && estado !== 'Pendiente' && estado !== 'Necesita Revisión') {
+       sendTemplate_(email, estado === ESTADO_RECHAZADO ? 'request_rejected' : 'request_cancelled', vars);
     }
   }
 }
 
+/**
+ * The calendar event booked leave should have. Leave awaiting a cancellation decision keeps
+ * the title of the status it had before. end is exclusive, as Calendar expects.
+ * @return {{title: string, start: Date, end: Date}}
+ */
+function leaveEventFor_(request) {
+  const estado = request.estado === ESTADO_CANCELACION ? readCancellation_(request.cancelacion).estadoPrevio : request.estado;
+  const tipoLabel = LEAVE_TYPES[normalizeLeaveType_(request.tipo)].label;
+  const halves = { start: String(request.medioInicio || '').toUpperCase(), end: String(request.medioFin || '').toUpperCase() };
+  const end = normalizeDate_(request.fin); end.setDate(end.getDate() + 1);
+  return {
+    title: leaveEventTitle_(request.empleado, estado, tipoLabel, request.inicio, request.fin, halves),
+    start: normalizeDate_(request.inicio),
+    end
+  };
+}
+
+/**
+ * Title shared by the Google Calendar event and the ICS feeds, e.g. "Vacation: Ana Gómez (starts PM)".
+ */
+function leaveEventTitle_(empleado, estado, tipoLabel, start, end, halves) {
+  let halfLabel = '';
+  if (dateKey_(start) === dateKey_(end)) halfLabel = halves.start ? ` (½ ${halves.start})` : '';
+  else halfLabel = [halves.start && 'starts PM', halves.end && 'ends AM'].filter(Boolean).map(x => ` (${x})`).join('');
+  return (estado === ESTADO_EXCEPCION ? `${tipoLabel} (EXCEPTION): ${empleado}` : `${tipoLabel}: ${empleado}`) + halfLabel;
+}
+
+/**
+ * One email listing every final decision a bulk action made on an employee's requests.
+ * @param {Array<{estado: string, tipo: string, dias: number, periodo: string, reason: string}>} decisions
+ */
+function sendDecisionSummary_(email, decisions) {
+  return sendTemplate_(email, 'decision_summary', lang => ({
+    cantidad: decisions.length,
+    decisiones: rawHtml_('<ul>' + decisions.map(d =>
+      `<li><strong>${escapeHtml_(leaveTypeLabel_(d.tipo, lang))}</strong> · ${d.periodo} · ${d.dias} ${emailText_(lang, 'businessDays')} · ${escapeHtml_(statusLabel_(d.estado, lang))}` +
+      (d.reason ? `<br><em>${escapeHtml_(d.reason)}</em>` : '') + '</li>').join('') + '</ul>')
+  }));
+}
+
+/**
+ * Recomputes business days for pending requests and for approved leave that has not started yet
+ * (so holiday calendar edits propagate), then rewrites the "used" column of Empleados from approved requests.
+ * Approved leave that has started keeps the days it was charged; changes to approved leave are audited.
+ * The recount is only for holiday edits: code that changes the dates of approved leave writes
+ * its days in the same update (see apiProcessCancellation).
+ */
 function recalcEmpleados_() {
   const ss = _getDb(); 
   if (!ss) return;
@@ -806,58 +5339,76 @@ function recalcEmpleados_() {
   if (!shS || !shE) return;
   
   const dataS = shS.getDataRange().getValues();
+  const dataE = shE.getDataRange().getValues();
+  const holidays = getHolidays_();
+  const countryIdx = findHeaderIndex_(dataE[0] || [], ['País', 'Pais', 'Country']);
+  const profileByEmp = {};
+  for (let j = 1; j < dataE.length; j++) {
+    profileByEmp[String(dataE[j][0]).trim()] = {
+      team: dataE[j][2],
+      country: countryIdx > -1 ? dataE[j][countryIdx] : ''
+    };
+  }
+
   const usedByEmp = {};
+  const diasCol = [];
+  const adjusted = [];
+  const today = normalizeDate_(new Date());
+  let diasChanged = false;
   
   for (let i = 1; i < dataS.length; i++) {
     const est = String(dataS[i][5]);
-    if (est.includes('Aprobado')) {
-      const emp = String(dataS[i][2]).trim();
-      const dias = Number(dataS[i][6]) || 0; 
-      usedByEmp[emp] = (usedByEmp[emp] || 0) + dias;
+    const emp = String(dataS[i][2]).trim();
+    let dias = Number(dataS[i][6]) || 0;
+    const pending = est === ESTADO_PENDIENTE || est === ESTADO_REVISION;
+    const approvedFuture = isApprovedState_(est) && dataS[i][3] && normalizeDate_(parseDateToNoon_(dataS[i][3])) > today;
+
+    if ((pending || approvedFuture) && dataS[i][3] && dataS[i][4]) {
+      const profile = profileByEmp[emp] || {};
+      const keys = holidayKeysFor_(holidays, profile.team, profile.country, dataS[i][3], dataS[i][4]);
+      const recalculated = countRequestDays_(dataS[i][3], dataS[i][4], keys,
+        String(dataS[i][COL_MEDIO_INICIO - 1] || ''), String(dataS[i][COL_MEDIO_FIN - 1] || ''));
+      if (recalculated !== dias) {
+        if (approvedFuture) adjusted.push({ id: String(dataS[i][COL_ID - 1] || ''), empleado: emp, from: dias, to: recalculated });
+        dias = recalculated;
+        diasChanged = true;
+      }
+      diasCol.push([dias]);
+    } else {
+      diasCol.push([dataS[i][6]]);
+    }
+
+    if (isApprovedState_(est)) {
+      const tipo = normalizeLeaveType_(dataS[i][COL_TIPO - 1]);
+      usedByEmp[emp] = usedByEmp[emp] || {};
+      usedByEmp[emp][tipo] = (usedByEmp[emp][tipo] || 0) + dias;
     }
   }
+  if (diasChanged) shS.getRange(2, 7, diasCol.length, 1).setValues(diasCol);
+  if (adjusted.length) logAudit_('APPROVED_DAYS_RECOUNTED', { requests: adjusted }, 'system');
   
   const lastE = shE.getLastRow(); 
   if (lastE < 2) return;
   const emps = shE.getRange(2, 1, lastE - 1, 1).getValues(); 
-  const outUsed = emps.map(([emp]) => [usedByEmp[String(emp).trim()] || 0]);
+  const usedOf = (emp, tipo) => (usedByEmp[String(emp).trim()] || {})[tipo] || 0;
+  const outUsed = emps.map(([emp]) => [usedOf(emp, DEFAULT_LEAVE_TYPE)]);
   
   if (outUsed.length > 0) shE.getRange(2, 5, outUsed.length, 1).setValues(outUsed);
-}
 
-function hasTeamOverlapPendingOrApproved_(empleado, start, end, currentRow) {
-  const team = getEmployeeTeam_(empleado); 
-  if (!team) return null;
-  const ss = _getDb();
-  const sh = ss.getSheetByName(SHEET_SOLICITUDES);
-  const vals = sh.getDataRange().getValues();
-  const s0 = normalizeDate_(start).getTime();
-  const e0 = normalizeDate_(end).getTime();
-  
-  for (let r = 1; r < vals.length; r++) {
-    if (r + 1 === currentRow) continue;
-    const est = String(vals[r][5] || '');
-    if (est !== 'Pendiente' && !est.includes('Aprobado')) continue;
-    
-    const emp2 = String(vals[r][2] || '').trim(); 
-    if (!emp2 || emp2 === empleado) continue; // Skip self
-    
-    const team2 = getEmployeeTeam_(emp2);
-    if (!team2 || team2 !== team) continue;
-    
-    const s1 = normalizeDate_(vals[r][3]).getTime(); 
-    const e1 = normalizeDate_(vals[r][4]).getTime();
-    if (s0 <= e1 && s1 <= e0) return { row: r + 1, empleado: emp2, estado: est, team };
-  }
-  return null;
+  // Per-type usage columns, when present in Empleados
+  Object.keys(LEAVE_TYPES).forEach(tipo => {
+    const usedIdx = LEAVE_TYPES[tipo].usedHeader ? findHeaderIndex_(dataE[0] || [], [LEAVE_TYPES[tipo].usedHeader]) : -1;
+    if (tipo === DEFAULT_LEAVE_TYPE || usedIdx < 0) return;
+    shE.getRange(2, usedIdx + 1, emps.length, 1).setValues(emps.map(([emp]) => [usedOf(emp, tipo)]));
+  });
 }
 
-function hasOverlapPendingOrApprovedSameEmployee_(empleado, start, end, currentRow) {
+function hasOverlapPendingOrApprovedSameEmployee_(empleado, start, end, currentRow, halves) {
   const ss = _getDb();
   const sh = ss.getSheetByName(SHEET_SOLICITUDES);
   const vals = sh.getDataRange().getValues();
-  const s0 = normalizeDate_(start).getTime();
-  const e0 = normalizeDate_(end).getTime();
+  const h0 = halves || {};
+  const span0 = halfDaySpan_(start, end, h0.start, h0.end);
   const empSearch = String(empleado || '').trim();
   
   for (let r = 1; r < vals.length; r++) {
@@ -865,25 +5416,15 @@ function hasOverlapPendingOrApprovedSameEmployee_(empleado, start, end, currentR
     const emp2 = String(vals[r][2] || '').trim();
     if (emp2 !== empSearch) continue;
     const est = String(vals[r][5] || '');
-    if (est !== 'Pendiente' && !est.includes('Aprobado')) continue;
+    if (est !== 'Pendiente' && !isApprovedState_(est)) continue;
     
-    const s1 = normalizeDate_(vals[r][3]).getTime(); 
-    const e1 = normalizeDate_(vals[r][4]).getTime();
-    if (s0 <= e1 && s1 <= e0) return { row: r + 1, estado: est };
+    const span1 = halfDaySpan_(vals[r][3], vals[r][4], vals[r][COL_MEDIO_INICIO - 1], vals[r][COL_MEDIO_FIN - 1]);
+    if (span0.from <= span1.to && span1.from <= span0.to) return { row: r + 1, estado: est };
   }
   return null;
 }
 
 function getEmployeeTeam_(empleado) {
-  const ss = _getDb(); 
-  const sh = ss.getSheetByName(SHEET_EMPLEADOS);
-  if (!sh) return '';
-  const data = sh.getDataRange().getValues();
-  const search = String(empleado || '').trim().toLowerCase();
-  for (let i = 1; i < data.length; i++) {
-    const name = String(data[i][0]).trim().toLowerCase();
-    const email = String(data[i][1]).trim().toLowerCase();
-    if (name === search || email === search) return data[i][2];
-  }
-  return '';
+  const emp = employeesRepo_().findByNameOrEmail(empleado);
+  return emp ? emp.equipo : '';
 }
@@ -0,0 +1,555 @@
+/**
+ * @fileoverview Storage & Service Layer for the Vacation Management System.
+ * Business logic in backend.js reaches Sheets, Mail, Calendar and outgoing HTTP only through
+ * the services registered here, so the same code runs against:
+ * 1. Google Sheets / MailApp / CalendarApp / UrlFetchApp (default, production).
+ * 2. In-memory stand-ins that can be loaded from and saved to JSON (local runs, see local/run.js).
+ * Repositories map the Solicitudes, Empleados, Notificar Solicitudes and Audit_Log
+ * sheets to named fields, so callers don't depend on column positions.
+ * * @author Bryan Acuña
+ */
+
+/* ==========================================================================
+   SERVICE REGISTRY
+   ========================================================================== */
+
+const services_ = { db: null, mail: null, calendar: null, http: null };
+
+/**
+ * Replaces one or more services. Omitted keys keep their current adapter.
+ * @param {{db: Object, mail: Object, calendar: Object, http: Object}} overrides
+ */
+function useServices_(overrides) {
+  Object.keys(overrides || {}).forEach(k => { services_[k] = overrides[k]; });
+}
+
+/**
+ * Spreadsheet adapter: open(id) returns an object with the Spreadsheet API subset we use;
+ * create(name) makes a new spreadsheet (generated reports).
+ */
+function getDbService_() {
+  if (!services_.db) services_.db = { open: id => SpreadsheetApp.openById(id), create: name => SpreadsheetApp.create(name) };
+  return services_.db;
+}
+
+function getMailService_() {
+  if (!services_.mail) services_.mail = MailApp;
+  return services_.mail;
+}
+
+function getCalendarService_() {
+  if (!services_.calendar) services_.calendar = CalendarApp;
+  return services_.calendar;
+}
+
+/**
+ * Outgoing HTTP (chat webhooks): fetch(url, options) returning an HTTPResponse.
+ */
+function getHttpService_() {
+  if (!services_.http) services_.http = UrlFetchApp;
+  return services_.http;
+}
+
+/* ==========================================================================
+   IN-MEMORY ADAPTERS
+   ========================================================================== */
+
+/**
+ * Spreadsheet held in memory. Implements the subset of the Sheets API used by backend.js.
+ * Serializes to {sheetName: rows[][]}; ISO date strings are revived as Date objects.
+ */
+class MemorySpreadsheet_ {
+  constructor(id) {
+    this.id = id || 'memory';
+    this.sheets = {};
+  }
+
+  static fromJSON(data, id) {
+    const ss = new MemorySpreadsheet_(id);
+    const iso = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+    Object.keys(data || {}).forEach(name => {
+      const rows = (data[name] || []).map(r => r.map(v => (typeof v === 'string' && iso.test(v)) ? new Date(v) : v));
+      ss.sheets[name] = new MemorySheet_(name, rows, ss);
+    });
+    return ss;
+  }
+
+  toJSON() {
+    const out = {};
+    Object.keys(this.sheets).forEach(name => { out[name] = this.sheets[name].rows; });
+    return out;
+  }
+
+  getId() { return this.id; }
+  getName() { return this.name || this.id; }
+  getUrl() { return `memory://${this.id}`; }
+  getSheets() { return Object.keys(this.sheets).map(n => this.sheets[n]); }
+  getSheetByName(name) { return this.sheets[name] || null; }
+
+  insertSheet(name) {
+    if (this.sheets[name]) throw new Error(`A sheet with the name "${name}" already exists.`);
+    this.sheets[name] = new MemorySheet_(name, [], this);
+    return this.sheets[name];
+  }
+
+  addEditor(email) {
+    this.editors = (this.editors || []).concat([email]);
+    return this;
+  }
+}
+
+class MemorySheet_ {
+  constructor(name, rows, parent) {
+    this.name = name;
+    this.rows = rows || [];
+    this.notes = {};
+    this.parent = parent || null;
+  }
+
+  getName() { return this.name; }
+
+  setName(name) {
+    if (this.parent) {
+      delete this.parent.sheets[this.name];
+      this.parent.sheets[name] = this;
+    }
+    this.name = name;
+    return this;
+  }
+
+  // Layout has no effect in memory
+  setFrozenRows() { return this; }
+  autoResizeColumns() { return this; }
+
+  getLastRow() {
+    let n = this.rows.length;
+    while (n > 0 && (this.rows[n - 1] || []).every(v => v === '' || v === null || v === undefined)) n--;
+    return n;
+  }
+
+  getLastColumn() {
+    return this.rows.reduce((max, r) => Math.max(max, r.length), 0);
+  }
+
+  getRange(row, col, numRows, numCols) {
+    if (typeof row !== 'number') throw new Error('A1 notation is not supported by the in-memory adapter.');
+    return new MemoryRange_(this, row, col, numRows || 1, numCols || 1);
+  }
+
+  getDataRange() {
+    return new MemoryRange_(this, 1, 1, Math.max(1, this.getLastRow()), Math.max(1, this.getLastColumn()));
+  }
+
+  appendRow(values) {
+    this.rows.splice(this.getLastRow(), 0, values.map(literalValue_));
+    return this;
+  }
+
+  deleteRow(row) {
+    this.rows.splice(row - 1, 1);
+    return this;
+  }
+
+  clear() {
+    this.rows = [];
+    this.notes = {};
+    return this;
+  }
+}
+
+class MemoryRange_ {
+  constructor(sheet, row, col, numRows, numCols) {
+    this.sheet = sheet;
+    this.row = row;
+    this.col = col;
+    this.numRows = numRows;
+    this.numCols = numCols;
+  }
+
+  getValues() {
+    const out = [];
+    for (let i = 0; i < this.numRows; i++) {
+      const src = this.sheet.rows[this.row - 1 + i] || [];
+      const vals = [];
+      for (let j = 0; j < this.numCols; j++) {
+        const v = src[this.col - 1 + j];
+        vals.push(v === undefined || v === null ? '' : v);
+      }
+      out.push(vals);
+    }
+    return out;
+  }
+
+  getValue() { return this.getValues()[0][0]; }
+
+  setValues(values) {
+    values.forEach((vals, i) => {
+      const idx = this.row - 1 + i;
+      while (this.sheet.rows.length <= idx) this.sheet.rows.push([]);
+      const dest = this.sheet.rows[idx];
+      vals.forEach((v, j) => {
+        while (dest.length < this.col - 1 + j) dest.push('');
+        dest[this.col - 1 + j] = literalValue_(v);
+      });
+    });
+    return this;
+  }
+
+  setValue(value) { return this.setValues([[value]]); }
+
+  clearContent() {
+    const blank = [];
+    for (let i = 0; i < this.numRows; i++) blank.push(new Array(this.numCols).fill(''));
+    return this.setValues(blank);
+  }
+
+  getNote() { return this.sheet.notes[`${this.row},${this.col}`] || ''; }
+  setNote(note) { this.sheet.notes[`${this.row},${this.col}`] = note; return this; }
+
+  getNotes() {
+    const out = [];
+    for (let i = 0; i < this.numRows; i++) {
+      const notes = [];
+      for (let j = 0; j < this.numCols; j++) notes.push(this.sheet.notes[`${this.row + i},${this.col + j}`] || '');
+      out.push(notes);
+    }
+    return out;
+  }
+
+  // Formatting has no effect in memory
+  setFontWeight() { return this; }
+  setBackground() { return this; }
+
+  sort(spec) {
+    const first = Array.isArray(spec) ? spec[0] : spec;
+    const column = (typeof first === 'number' ? first : first.column) - this.col;
+    const ascending = typeof first === 'number' || first.ascending !== false;
+    const block = this.sheet.rows.slice(this.row - 1, this.row - 1 + this.numRows);
+    block.sort((a, b) => {
+      const x = a[column], y = b[column];
+      const cmp = (x > y) - (x < y);
+      return ascending ? cmp : -cmp;
+    });
+    this.sheet.rows.splice(this.row - 1, this.numRows, ...block);
+    return this;
+  }
+}
+
+/**
+ * Like Sheets, a leading apostrophe marks a string as literal text and is not stored.
+ */
+function literalValue_(value) {
+  return typeof value === 'string' && value.charAt(0) === "'" ? value.slice(1) : value;
+}
+
+/**
+ * Spreadsheet adapter over one MemorySpreadsheet_. Every ID (tracker, HR master) opens it.
+ * Spreadsheets made with create() are kept in `created`.
+ */
+function memoryDb_(spreadsheet) {
+  const db = {
+    spreadsheet,
+    created: [],
+    open: () => spreadsheet,
+    create(name) {
+      const ss = new MemorySpreadsheet_(`created-${db.created.length + 1}`);
+      ss.name = name;
+      ss.insertSheet('Sheet1');
+      db.created.push(ss);
+      return ss;
+    }
+  };
+  return db;
+}
+
+/**
+ * MailApp stand-in that keeps every message in `sent`.
+ */
+function memoryMail_(dailyQuota) {
+  const mail = {
+    sent: [],
+    quota: dailyQuota === undefined ? 100 : dailyQuota,
+    sendEmail(to, subject, body, options) {
+      if (mail.quota <= 0) throw new Error('Service invoked too many times for one day: email.');
+      mail.quota--;
+      mail.sent.push({ to, subject, body, options: options || {}, at: new Date() });
+    },
+    getRemainingDailyQuota() { return mail.quota; }
+  };
+  return mail;
+}
+
+/**
+ * UrlFetchApp stand-in that keeps every request in `requests` and answers `status` (200 by default).
+ */
+function memoryHttp_() {
+  const http = {
+    requests: [],
+    status: 200,
+    fetch(url, options) {
+      http.requests.push({ url, options: options || {}, at: new Date() });
+      const code = http.status;
+      if (code >= 400 && !(options && options.muteHttpExceptions)) throw new Error(`Request failed for ${url} returned code ${code}`);
+      return { getResponseCode: () => code, getContentText: () => (code < 400 ? 'ok' : 'error') };
+    }
+  };
+  return http;
+}
+
+/**
+ * CalendarApp stand-in with a single calendar of all-day events.
+ * Serializes to {seq, events: {id: {title, start, end, description}}}; pass that back in to restore it.
+ */
+function memoryCalendar_(saved) {
+  const events = {};
+  let seq = saved && saved.seq || 0;
+  const makeEvent = (title, start, end, id, description) => {
+    id = id || `event-${++seq}@memory`;
+    const ev = {
+      title, start, end, description: description || '',
+      getId: () => id,
+      getTitle: () => ev.title,
+      setTitle: t => { ev.title = t; return ev; },
+      getDescription: () => ev.description,
+      setDescription: d => { ev.description = d; return ev; },
+      getAllDayStartDate: () => ev.start,
+      getAllDayEndDate: () => ev.end,
+      isAllDayEvent: () => true,
+      setAllDayDates: (s, e) => { ev.start = s; ev.end = e; return ev; },
+      deleteEvent: () => { delete events[id]; }
+    };
+    events[id] = ev;
+    return ev;
+  };
+  Object.keys(saved && saved.events || {}).forEach(id => {
+    const e = saved.events[id];
+    makeEvent(e.title, new Date(e.start), new Date(e.end), id, e.description);
+  });
+  const calendar = {
+    events,
+    getName: () => CALENDAR_NAME,
+    getEventById: id => events[id] || null,
+    createAllDayEvent: (title, start, end) => makeEvent(title, start, end || new Date(new Date(start).getTime() + 86400000)),
+    getEvents: (from, to) => Object.keys(events).map(k => events[k]).filter(ev => ev.start < to && ev.end > from)
+  };
+  return {
+    calendar,
+    getCalendarsByName: () => [calendar],
+    createCalendar: () => calendar,
+    toJSON() {
+      const out = {};
+      Object.keys(events).forEach(id => {
+        const ev = events[id];
+        out[id] = { title: ev.title, start: ev.start, end: ev.end, description: ev.description };
+      });
+      return { seq, events: out };
+    }
+  };
+}
+
+/* ==========================================================================
+   REPOSITORIES
+   ========================================================================== */
+
+/**
+ * Solicitudes field → column (1-based). Built on demand because the COL_* constants
+ * live in backend.js.
+ */
+function requestColumns_() {
+  return {
+    timestamp: 1, email: 2, empleado: 3, inicio: 4, fin: 5, estado: 6, dias: 7, eventId: 8,
+    medioInicio: COL_MEDIO_INICIO, medioFin: COL_MEDIO_FIN, tipo: COL_TIPO, paso: COL_PASO,
+    aprobaciones: COL_APROBACIONES, id: COL_ID, version: COL_VERSION, cancelacion: COL_CANCELACION
+  };
+}
+
+function toRecord_(columns, values, row) {
+  const rec = { row };
+  Object.keys(columns).forEach(f => {
+    const v = values[columns[f] - 1];
+    rec[f] = v === undefined ? '' : v;
+  });
+  return rec;
+}
+
+/**
+ * Requests in Solicitudes. Records carry their current `row`, which is only valid
+ * until the sheet is re-sorted: resolve by ID under the script lock before writing.
+ */
+function requestsRepo_() {
+  const sheet = () => _getDb().getSheetByName(SHEET_SOLICITUDES);
+  const columns = requestColumns_();
+  const width = Math.max.apply(null, Object.keys(columns).map(f => columns[f]));
+
+  return {
+    all() {
+      const sh = sheet();
+      if (!sh || sh.getLastRow() < 2) return [];
+      return sh.getRange(2, 1, sh.getLastRow() - 1, width).getValues().map((v, i) => toRecord_(columns, v, i + 2));
+    },
+
+    findById(id) {
+      const key = String(id || '').trim();
+      if (!key) return null;
+      return this.all().find(r => String(r.id) === key) || null;
+    },
+
+    findByRow(row) {
+      const sh = sheet();
+      if (!sh || row < 2 || row > sh.getLastRow()) return null;
+      return toRecord_(columns, sh.getRange(row, 1, 1, width).getValues()[0], row);
+    },
+
+    /** @return {number} Row the request was written to. */
+    append(fields) {
+      const sh = sheet();
+      const values = new Array(width).fill('');
+      Object.keys(fields).forEach(f => {
+        if (!columns[f]) throw new Error(`Unknown request field: ${f}`);
+        values[columns[f] - 1] = fields[f];
+      });
+      sh.appendRow(values);
+      return sh.getLastRow();
+    },
+
+    update(row, fields) {
+      const sh = sheet();
+      Object.keys(fields).forEach(f => {
+        if (!columns[f]) throw new Error(`Unknown request field: ${f}`);
+        sh.getRange(row, columns[f]).setValue(fields[f]);
+      });
+    }
+  };
+}
+
+/**
+ * Employees in Empleados. Fixed columns are named; every header is also exposed
+ * through `fields` for the optional columns (País, FechaIngreso, per-type balances).
+ */
+function employeesRepo_() {
+  const read = () => {
+    const sh = _getDb().getSheetByName(SHEET_EMPLEADOS);
+    if (!sh) return [];
+    const data = sh.getDataRange().getValues();
+    const headers = (data[0] || []).map(h => String(h || '').trim());
+    return data.slice(1).map((r, i) => {
+      const fields = {};
+      headers.forEach((h, idx) => { if (h) fields[h] = r[idx]; });
+      return {
+        row: i + 2,
+        nombre: String(r[0] || '').trim(),
+        email: String(r[1] || '').trim().toLowerCase(),
+        equipo: r[2],
+        saldoHR: Number(r[3] || 0),
+        usados: Number(r[4] || 0),
+        fields
+      };
+    }).filter(e => e.nombre || e.email);
+  };
+
+  return {
+    all: read,
+
+    findByEmail(email) {
+      const key = String(email || '').trim().toLowerCase();
+      return read().find(e => e.email === key) || null;
+    },
+
+    /** Requests store the employee name; older callers pass either. */
+    findByNameOrEmail(value) {
+      const key = String(value || '').trim().toLowerCase();
+      return read().find(e => e.nombre.toLowerCase() === key || e.email === key) || null;
+    }
+  };
+}
+
+/**
+ * Fallback approvers listed in Notificar Solicitudes (first column, unique, in sheet order).
+ */
+function managersRepo_() {
+  return {
+    emails() {
+      const sh = _getDb().getSheetByName(SHEET_MANAGERS);
+      if (!sh || sh.getLastRow() < 2) return [];
+      const uniq = {};
+      return sh.getRange(2, 1, sh.getLastRow() - 1, 1).getValues()
+        .map(r => String(r[0]).trim())
+        .filter(x => x && (uniq[x] ? false : (uniq[x] = true)));
+    }
+  };
+}
+
+/**
+ * Append-only Audit_Log: Timestamp | User | Action | Details (JSON) | IP.
+ */
+function auditRepo_() {
+  const sheet = () => {
+    const ss = _getDb();
+    let sh = ss.getSheetByName('Audit_Log');
+    if (!sh) {
+      sh = ss.insertSheet('Audit_Log');
+      sh.appendRow(['Timestamp', 'User', 'Action', 'Details', 'IP']);
+      sh.getRange(1, 1, 1, 5).setFontWeight('bold').setBackground('#f0f0f0');
+    }
+    return sh;
+  };
+
+  return {
+    append(entry) {
+      sheet().appendRow([entry.at || new Date(), entry.user, entry.action, JSON.stringify(entry.details), entry.key || '']);
+    },
+
+    all() {
+      const sh = sheet();
+      if (sh.getLastRow() < 2) return [];
+      return sh.getRange(2, 1, sh.getLastRow() - 1, 5).getValues().map(r => {
+        let details = r[3];
+        try { details = JSON.parse(r[3]); } catch (e) { /* keep raw text */ }
+        return { at: r[0], user: r[1], action: r[2], details, key: r[4] };
+      });
+    }
+  };
+}
+
+/**
+ * Comentarios sheet: Fecha | Solicitud | Email | Autor | Tipo | Texto.
+ * Tipo is 'Comentario' for thread messages, or the decision a manager gave the reason for.
+ */
+function commentsRepo_() {
+  const sheet = () => {
+    const ss = _getDb();
+    let sh = ss.getSheetByName(SHEET_COMENTARIOS);
+    if (!sh) {
+      sh = ss.insertSheet(SHEET_COMENTARIOS);
+      sh.appendRow(['Fecha', 'Solicitud', 'Email', 'Autor', 'Tipo', 'Texto']);
+      sh.getRange(1, 1, 1, 6).setFontWeight('bold').setBackground('#f0f0f0');
+    }
+    return sh;
+  };
+
+  return {
+    append(comment) {
+      // Typed text is stored as text, never as a formula
+      const text = String(comment.text);
+      sheet().appendRow([comment.at || new Date(), comment.requestId, comment.email, comment.author,
+        comment.kind, /^[=+\-@]/.test(text) ? `'${text}` : text]);
+    },
+
+    /** @return {Object<string, Object[]>} Comments by request ID, oldest first. */
+    byRequest() {
+      const sh = sheet();
+      const map = {};
+      if (sh.getLastRow() < 2) return map;
+      sh.getRange(2, 1, sh.getLastRow() - 1, 6).getValues().forEach(r => {
+        const id = String(r[1] || '').trim();
+        if (!id) return;
+        (map[id] = map[id] || []).push({ at: r[0], requestId: id, email: r[2], author: r[3], kind: r[4], text: String(r[5]) });
+      });
+      return map;
+    },
+
+    forRequest(requestId) {
+      return this.byRequest()[String(requestId || '').trim()] || [];
+    }
+  };
+}